@@ -0,0 +1,75 @@
+/**
+ * Application Config - Cấu hình tập trung theo môi trường
+ * Tuân thủ rules.md mục 6: mọi API endpoint lấy từ file config chung,
+ * mỗi môi trường deploy một bản config.js riêng, không sửa main.js
+ */
+
+const APP_CONFIG = Object.freeze({
+    /**
+     * Nguồn dữ liệu sản phẩm
+     * - 'http': gọi products API theo `api.baseUrl`
+     * - 'memory': dùng dữ liệu mẫu PRODUCT_DATA trong main.js
+     */
+    dataSource: 'http',
+
+    api: Object.freeze({
+        baseUrl: 'https://api.escuelajs.co/api/v1',
+        timeoutMs: 8000,
+        retryAttempts: 3,
+        retryBaseDelayMs: 500
+    }),
+
+    pagination: Object.freeze({
+        pageSize: 20
+    }),
+
+    catalogGrid: Object.freeze({
+        // Số hàng card render thêm phía trên/dưới viewport khi cuộn
+        overscanRows: 2,
+        // Số card render lần đầu, trước khi đo được kích thước grid
+        initialCardCount: 24
+    }),
+
+    offline: Object.freeze({
+        // Đường dẫn service worker (tương đối với index.html), để rỗng để tắt
+        serviceWorkerUrl: 'sw.js',
+        // Số ảnh sản phẩm tối đa service worker giữ trong cache
+        imageCacheLimit: 300
+    }),
+
+    logging: Object.freeze({
+        // Mức log thấp nhất in ra console: 'debug' | 'info' | 'warn' | 'error'
+        // Production chỉ in cảnh báo/lỗi; đổi thành 'debug' khi phát triển
+        consoleLevel: 'warn',
+        // Số log gần nhất giữ trong bộ nhớ, gửi kèm làm ngữ cảnh khi báo lỗi về collector
+        bufferSize: 100,
+        // Endpoint nhận log (POST JSON), để rỗng để tắt
+        collectorUrl: '',
+        // Mức log thấp nhất gửi về collector
+        collectorLevel: 'error'
+    }),
+
+    images: Object.freeze({
+        // Ảnh cuối cùng trong chuỗi dự phòng khi cả ảnh sản phẩm và ảnh danh mục đều lỗi
+        placeholderUrl: 'https://placehold.co/600x400?text=No+Image',
+        // Số ngày giữ ghi nhận ảnh lỗi trong báo cáo Quản trị > Ảnh lỗi
+        brokenImageMaxAgeDays: 7
+    }),
+
+    i18n: Object.freeze({
+        // Ngôn ngữ mặc định và ngôn ngữ dự phòng khi thiếu bản dịch
+        defaultLocale: 'vi'
+    }),
+
+    currency: Object.freeze({
+        // Giá trong dữ liệu sản phẩm luôn tính theo baseCurrency
+        baseCurrency: 'USD',
+        defaultCurrency: 'USD',
+        // Số đơn vị mỗi tiền tệ cho 1 baseCurrency
+        exchangeRates: Object.freeze({
+            USD: 1,
+            VND: 25400,
+            EUR: 0.92
+        })
+    })
+});
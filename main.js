@@ -3,6 +3,174 @@
  * Tuân thủ rules.md: OOP, Design Pattern, Clean Architecture
  */
 
+// ========== I18N ==========
+
+/**
+ * I18n - Dịch chuỗi giao diện theo message catalog (I18N_MESSAGES) và ngôn ngữ đang chọn
+ * Singleton tĩnh vì ngôn ngữ áp dụng cho toàn bộ ứng dụng, controller cấu hình từ Store
+ */
+class I18n {
+    static messages = {};
+    static locales = {};
+    static locale = '';
+    static fallbackLocale = '';
+
+    /**
+     * @param {Object} options
+     * @param {Object} options.messages - Catalog theo ngôn ngữ: { vi: { key: message } }
+     * @param {Object} options.locales - Thông tin ngôn ngữ: { vi: { label, intlLocale } }
+     * @param {string} options.fallbackLocale - Dùng khi ngôn ngữ đang chọn thiếu key
+     */
+    static configure({ messages, locales, fallbackLocale }) {
+        I18n.messages = messages;
+        I18n.locales = locales;
+        I18n.fallbackLocale = fallbackLocale;
+        I18n.locale = fallbackLocale;
+    }
+
+    /**
+     * @param {string} locale
+     */
+    static setLocale(locale) {
+        if (!I18n.isSupported(locale)) {
+            throw new Error(`Unsupported locale "${locale}"`);
+        }
+        I18n.locale = locale;
+    }
+
+    /**
+     * @param {string} locale
+     * @returns {boolean}
+     */
+    static isSupported(locale) {
+        return Object.prototype.hasOwnProperty.call(I18n.locales, locale);
+    }
+
+    /**
+     * @returns {string}
+     */
+    static getLocale() {
+        return I18n.locale;
+    }
+
+    /**
+     * Locale đầy đủ cho Intl (vd. 'vi-VN')
+     * @returns {string}
+     */
+    static getIntlLocale() {
+        return I18n.locales[I18n.locale].intlLocale;
+    }
+
+    /**
+     * Dịch một key, thay `{param}` bằng giá trị tương ứng
+     * Message dạng object ({ one, other }) được chọn theo Intl.PluralRules với `params.count`
+     * @param {string} key
+     * @param {Object} [params]
+     * @returns {string}
+     */
+    static t(key, params = {}) {
+        const message = I18n.lookup(I18n.locale, key) ?? I18n.lookup(I18n.fallbackLocale, key);
+        if (message === undefined) return key;
+        const template = typeof message === 'string'
+            ? message
+            : message[new Intl.PluralRules(I18n.getIntlLocale()).select(params.count ?? 0)] ?? message.other;
+        return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+            params[name] === undefined ? placeholder : String(params[name])
+        );
+    }
+
+    /**
+     * @param {string} locale
+     * @param {string} key
+     * @returns {string|Object|undefined}
+     */
+    static lookup(locale, key) {
+        return I18n.messages[locale]?.[key];
+    }
+
+    /**
+     * Dịch phần HTML tĩnh có `data-i18n` (text), `data-i18n-placeholder`, `data-i18n-aria-label`
+     * @param {HTMLElement} root
+     */
+    static translateDom(root) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = I18n.t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = I18n.t(element.dataset.i18nPlaceholder);
+        });
+        root.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+            element.setAttribute('aria-label', I18n.t(element.dataset.i18nAriaLabel));
+        });
+    }
+}
+
+/**
+ * PriceFormatter - Định dạng tiền dùng chung cho sản phẩm và giỏ hàng
+ * Giá trong dữ liệu luôn ở base currency, chỉ quy đổi khi hiển thị theo bảng tỷ giá trong config
+ */
+class PriceFormatter {
+    static baseCurrency = 'USD';
+    static currency = 'USD';
+    static exchangeRates = { USD: 1 };
+
+    /**
+     * @param {Object} options - APP_CONFIG.currency
+     * @param {string} options.baseCurrency
+     * @param {Object<string, number>} options.exchangeRates - Số đơn vị tiền tệ cho 1 base currency
+     */
+    static configure({ baseCurrency, exchangeRates }) {
+        PriceFormatter.baseCurrency = baseCurrency;
+        PriceFormatter.exchangeRates = exchangeRates;
+        PriceFormatter.currency = baseCurrency;
+    }
+
+    /**
+     * @param {string} currency
+     */
+    static setCurrency(currency) {
+        if (!PriceFormatter.isSupported(currency)) {
+            throw new Error(`No exchange rate configured for currency "${currency}"`);
+        }
+        PriceFormatter.currency = currency;
+    }
+
+    /**
+     * @param {string} currency
+     * @returns {boolean}
+     */
+    static isSupported(currency) {
+        return Object.prototype.hasOwnProperty.call(PriceFormatter.exchangeRates, currency);
+    }
+
+    /**
+     * @returns {string}
+     */
+    static getCurrency() {
+        return PriceFormatter.currency;
+    }
+
+    /**
+     * @param {number} amount - Số tiền theo base currency
+     * @returns {string}
+     */
+    static format(amount) {
+        return new Intl.NumberFormat(I18n.getIntlLocale(), {
+            style: 'currency',
+            currency: PriceFormatter.currency
+        }).format(amount * PriceFormatter.exchangeRates[PriceFormatter.currency]);
+    }
+
+    /**
+     * Quy đổi số tiền người dùng nhập theo tiền tệ đang chọn về base currency
+     * @param {number} displayAmount
+     * @returns {number}
+     */
+    static toBaseAmount(displayAmount) {
+        return displayAmount / PriceFormatter.exchangeRates[PriceFormatter.currency];
+    }
+}
+
 // ========== MODELS ==========
 
 /**
@@ -23,7 +191,7 @@ class Category {
      * @returns {string}
      */
     getDisplayName() {
-        return this.name || 'Uncategorized';
+        return this.name || I18n.t('product.uncategorized');
     }
 }
 
@@ -44,11 +212,11 @@ class Product {
     }
 
     /**
-     * Lấy ảnh đầu tiên của sản phẩm
-     * @returns {string}
+     * Lấy ảnh đầu tiên của sản phẩm, dùng ảnh danh mục khi sản phẩm không có ảnh
+     * @returns {string} - Rỗng nếu cả hai đều không có
      */
     getPrimaryImage() {
-        return this.images[0] || 'https://placehold.co/600x400?text=No+Image';
+        return this.images[0] || this.category.image || '';
     }
 
     /**
@@ -56,10 +224,7 @@ class Product {
      * @returns {string}
      */
     getFormattedPrice() {
-        return new Intl.NumberFormat('vi-VN', {
-            style: 'currency',
-            currency: 'USD'
-        }).format(this.price);
+        return PriceFormatter.format(this.price);
     }
 
     /**
@@ -68,242 +233,6296 @@ class Product {
      * @returns {string}
      */
     getShortDescription(maxLength = 100) {
-        if (!this.description) return 'No description available';
+        if (!this.description) return I18n.t('product.noDescription');
         if (this.description.length <= maxLength) return this.description;
         return this.description.substring(0, maxLength) + '...';
     }
 }
 
-// ========== SERVICE ==========
-
 /**
- * ProductService - Quản lý dữ liệu sản phẩm
- * Áp dụng Service Pattern
+ * ProductQuery - Điều kiện tìm kiếm, lọc và sắp xếp danh sách sản phẩm
+ * Immutable: mỗi thay đổi tạo query mới qua `with()`
  */
-class ProductService {
-    constructor() {
-        this.products = [];
-    }
+class ProductQuery {
+    static SORT_OPTIONS = Object.freeze(['default', 'price-asc', 'price-desc', 'newest', 'title']);
 
     /**
-     * Load sản phẩm từ JSON data
-     * @param {Array} jsonData - Dữ liệu JSON
-     * @returns {Array<Product>}
+     * @param {Object} [criteria]
+     * @param {string} [criteria.searchText]
+     * @param {string|null} [criteria.categorySlug]
+     * @param {number|null} [criteria.minPrice]
+     * @param {number|null} [criteria.maxPrice]
+     * @param {string} [criteria.sortBy] - Một trong ProductQuery.SORT_OPTIONS
      */
-    loadFromJson(jsonData) {
-        this.products = jsonData.map(item => new Product(item));
-        return this.products;
+    constructor({ searchText = '', categorySlug = null, minPrice = null, maxPrice = null, sortBy = 'default' } = {}) {
+        if (!ProductQuery.SORT_OPTIONS.includes(sortBy)) {
+            throw new Error(`Unknown sort option "${sortBy}"`);
+        }
+        this.searchText = searchText.trim();
+        this.categorySlug = categorySlug;
+        this.minPrice = minPrice;
+        this.maxPrice = maxPrice;
+        this.sortBy = sortBy;
+        Object.freeze(this);
     }
 
     /**
-     * Lấy tất cả sản phẩm
-     * @returns {Array<Product>}
+     * Tạo query mới với một số điều kiện thay đổi
+     * @param {Object} changes
+     * @returns {ProductQuery}
      */
-    getAllProducts() {
-        return this.products;
+    with(changes) {
+        return new ProductQuery({ ...this, ...changes });
     }
 
     /**
-     * Lấy số lượng sản phẩm
-     * @returns {number}
+     * Query có loại bớt sản phẩm nào không (sắp xếp không tính)
+     * @returns {boolean}
      */
-    getProductCount() {
-        return this.products.length;
+    isFiltering() {
+        return Boolean(this.searchText || this.categorySlug)
+            || this.minPrice !== null
+            || this.maxPrice !== null;
     }
+}
+
+// ========== DATA ACCESS ==========
 
+/**
+ * HttpError - Lỗi khi gọi API, giữ lại thông tin để debug và quyết định retry
+ */
+class HttpError extends Error {
     /**
-     * Tìm sản phẩm theo ID
-     * @param {number} id 
-     * @returns {Product|undefined}
+     * @param {string} message
+     * @param {Object} details
+     * @param {string} details.url
+     * @param {number} [details.status] - HTTP status, không có khi lỗi mạng/timeout
+     * @param {boolean} details.retryable
+     * @param {boolean} [details.timedOut] - Request bị hủy do quá timeout
      */
-    findById(id) {
-        return this.products.find(product => product.id === id);
+    constructor(message, { url, status, retryable, timedOut = false }) {
+        super(message);
+        this.name = 'HttpError';
+        this.url = url;
+        this.status = status;
+        this.retryable = retryable;
+        this.timedOut = timedOut;
     }
+}
+
+/**
+ * HttpClient - Gọi JSON API với timeout và retry theo exponential backoff
+ * Chỉ retry method idempotent để không tạo trùng bản ghi khi POST bị timeout
+ */
+class HttpClient {
+    static IDEMPOTENT_METHODS = Object.freeze(['GET', 'PUT', 'DELETE']);
 
     /**
-     * Lọc sản phẩm theo category
-     * @param {string} categorySlug 
-     * @returns {Array<Product>}
+     * @param {Object} options
+     * @param {string} options.baseUrl
+     * @param {number} options.timeoutMs
+     * @param {number} options.retryAttempts - Số lần thử lại sau lần gọi đầu tiên
+     * @param {number} options.retryBaseDelayMs - Thời gian chờ trước lần thử lại đầu tiên
+     * @param {Function} [options.fetchFn] - Inject để test với mock server / stub
      */
-    filterByCategory(categorySlug) {
-        return this.products.filter(
-            product => product.category.slug === categorySlug
-        );
+    constructor({ baseUrl, timeoutMs, retryAttempts, retryBaseDelayMs, fetchFn }) {
+        if (!baseUrl) {
+            throw new Error('HttpClient requires a baseUrl (see APP_CONFIG.api.baseUrl)');
+        }
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.timeoutMs = timeoutMs;
+        this.retryAttempts = retryAttempts;
+        this.retryBaseDelayMs = retryBaseDelayMs;
+        this.fetchFn = fetchFn || ((...args) => fetch(...args));
     }
 
     /**
-     * Lấy danh sách categories unique
-     * @returns {Array<Category>}
+     * GET một resource JSON
+     * @param {string} path - Ví dụ: '/products'
+     * @param {Object} [query] - Query string params
+     * @returns {Promise<any>}
      */
-    getUniqueCategories() {
-        const categoryMap = new Map();
-        this.products.forEach(product => {
-            if (!categoryMap.has(product.category.id)) {
-                categoryMap.set(product.category.id, product.category);
-            }
-        });
-        return Array.from(categoryMap.values());
+    async getJson(path, query = {}) {
+        return this.requestJson('GET', this.buildUrl(path, query));
     }
-}
 
-// ========== RENDERER ==========
+    /**
+     * Gửi body JSON (POST/PUT/DELETE)
+     * @param {string} method
+     * @param {string} path
+     * @param {Object} [body]
+     * @returns {Promise<any>}
+     */
+    async sendJson(method, path, body) {
+        return this.requestJson(method, this.buildUrl(path, {}), body);
+    }
 
-/**
- * ProductRenderer - Render UI cho sản phẩm
- * Tách biệt UI khỏi Business Logic
- */
-class ProductRenderer {
-    constructor(containerId) {
-        this.container = document.getElementById(containerId);
-        if (!this.container) {
-            throw new Error(`Container with id "${containerId}" not found`);
+    /**
+     * Gọi API, tự retry với lỗi mạng, timeout và 5xx
+     * @param {string} method
+     * @param {string} url
+     * @param {Object} [body]
+     * @returns {Promise<any>}
+     */
+    async requestJson(method, url, body) {
+        const maxRetries = HttpClient.IDEMPOTENT_METHODS.includes(method) ? this.retryAttempts : 0;
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.requestOnce(method, url, body);
+            } catch (error) {
+                if (!error.retryable || attempt >= maxRetries) throw error;
+                await this.wait(this.retryBaseDelayMs * 2 ** attempt);
+            }
         }
     }
 
     /**
-     * Tạo HTML cho một product card
-     * @param {Product} product 
+     * @param {string} path
+     * @param {Object} query
      * @returns {string}
      */
-    createProductCardHtml(product) {
-        return `
-            <article class="product-card" data-product-id="${product.id}">
-                <div class="product-card__image-wrapper">
-                    <img 
-                        class="product-card__image" 
-                        src="${this.escapeHtml(product.getPrimaryImage())}" 
-                        alt="${this.escapeHtml(product.title)}"
-                        loading="lazy"
-                        onerror="this.src='https://placehold.co/600x400?text=Error'"
-                    >
-                    <span class="product-card__category">
-                        ${this.escapeHtml(product.category.getDisplayName())}
-                    </span>
-                </div>
-                <div class="product-card__body">
-                    <h2 class="product-card__title">${this.escapeHtml(product.title)}</h2>
-                    <p class="product-card__description">${this.escapeHtml(product.getShortDescription())}</p>
-                    <div class="product-card__footer">
-                        <span class="product-card__price">${product.getFormattedPrice()}</span>
-                        <span class="product-card__id">ID: ${product.id}</span>
-                    </div>
-                </div>
-            </article>
-        `;
+    buildUrl(path, query) {
+        const params = new URLSearchParams();
+        Object.entries(query).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) params.append(key, value);
+        });
+        const queryString = params.toString();
+        return `${this.baseUrl}${path}${queryString ? `?${queryString}` : ''}`;
     }
 
     /**
-     * Render danh sách sản phẩm
-     * @param {Array<Product>} products 
+     * Gọi một lần, hủy request nếu quá timeout
+     * Timeout tính đến khi đọc xong body, server gửi header rồi treo vẫn bị hủy
+     * @param {string} method
+     * @param {string} url
+     * @param {Object} [body]
+     * @returns {Promise<any>}
      */
-    renderProducts(products) {
-        if (products.length === 0) {
-            this.container.innerHTML = '<p style="text-align: center; color: var(--color-text-muted);">Không có sản phẩm nào</p>';
-            return;
+    async requestOnce(method, url, body) {
+        const controller = new AbortController();
+        let timeoutId;
+        const timeout = new Promise((_, reject) => {
+            timeoutId = setTimeout(() => {
+                controller.abort();
+                reject(new HttpError(`Request to ${url} failed: timed out after ${this.timeoutMs}ms`, {
+                    url,
+                    retryable: true,
+                    timedOut: true
+                }));
+            }, this.timeoutMs);
+        });
+        try {
+            return await Promise.race([this.send(method, url, body, controller.signal), timeout]);
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * @param {string} method
+     * @param {string} url
+     * @param {Object} [body]
+     * @param {AbortSignal} signal
+     * @returns {Promise<any>}
+     */
+    async send(method, url, body, signal) {
+        const headers = { Accept: 'application/json' };
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+        let response;
+        try {
+            response = await this.fetchFn(url, {
+                method,
+                headers,
+                body: body === undefined ? undefined : JSON.stringify(body),
+                signal
+            });
+        } catch (error) {
+            throw new HttpError(`Request to ${url} failed: ${error.message}`, { url, retryable: true });
         }
 
-        const html = products.map(product => this.createProductCardHtml(product)).join('');
-        this.container.innerHTML = html;
+        if (!response.ok) {
+            const serverMessage = await this.readServerMessage(response);
+            throw new HttpError(`${method} ${url} failed with status ${response.status}${serverMessage ? `: ${serverMessage}` : ''}`, {
+                url,
+                status: response.status,
+                retryable: response.status >= 500 || response.status === 429
+            });
+        }
+        return this.readJson(response, url);
     }
 
     /**
-     * Hiển thị loading state
+     * Body bị cắt giữa chừng hoặc không phải JSON (vd. trang lỗi HTML của proxy) cũng là HttpError để được retry
+     * @param {Response} response
+     * @param {string} url
+     * @returns {Promise<any>}
      */
-    showLoading() {
-        this.container.innerHTML = `
-            <div class="loading">
-                <div class="loading__spinner"></div>
-            </div>
-        `;
+    async readJson(response, url) {
+        let text;
+        try {
+            text = await response.text();
+        } catch (error) {
+            throw new HttpError(`Reading response from ${url} failed: ${error.message}`, {
+                url,
+                status: response.status,
+                retryable: true
+            });
+        }
+        try {
+            return JSON.parse(text);
+        } catch {
+            throw new HttpError(`Response from ${url} is not valid JSON`, {
+                url,
+                status: response.status,
+                retryable: true
+            });
+        }
     }
 
     /**
-     * Hiển thị thông báo lỗi
-     * @param {string} message 
+     * Lấy thông báo lỗi server trả về (Platzi: `{ message: string | string[] }`) để lỗi dễ debug
+     * @param {Response} response
+     * @returns {Promise<string>}
      */
-    showError(message) {
-        this.container.innerHTML = `
-            <p style="text-align: center; color: var(--color-error); padding: 2rem;">
-                ❌ ${this.escapeHtml(message)}
-            </p>
-        `;
+    async readServerMessage(response) {
+        try {
+            const { message } = await response.json();
+            return Array.isArray(message) ? message.join('; ') : (message || '');
+        } catch {
+            return '';
+        }
     }
 
     /**
-     * Escape HTML để tránh XSS
-     * @param {string} str 
-     * @returns {string}
+     * @param {number} ms
+     * @returns {Promise<void>}
      */
-    escapeHtml(str) {
-        if (!str) return '';
-        const div = document.createElement('div');
-        div.textContent = str;
-        return div.innerHTML;
+    wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
     }
 }
 
-// ========== APPLICATION CONTROLLER ==========
-
 /**
- * ProductCatalogApp - Controller chính của ứng dụng
- * Điều phối giữa Service và Renderer
+ * Product repositories - Cùng một interface để ProductService không phụ thuộc nguồn dữ liệu:
+ * - fetchProducts({ offset, limit }): Promise<Array<Object>> - raw JSON sản phẩm
+ * - fetchCategories(): Promise<Array<Object>> - raw JSON danh mục
+ * - fetchProductBySlug(slug) / fetchProductById(id): Promise<Object|null> - null nếu không tồn tại
+ * - createProduct(input) / updateProduct(id, input): Promise<Object> - raw JSON sản phẩm đã lưu
+ * - deleteProduct(id): Promise<void>
+ * - storesSlug: boolean - slug trong input có được lưu lại không
+ * `input` là ProductInput: { title, slug, price, description, categoryId, images }.
+ * Backend HTTP tự sinh slug nên repository HTTP không gửi field này.
  */
-class ProductCatalogApp {
-    constructor() {
-        this.productService = new ProductService();
-        this.productRenderer = new ProductRenderer('productGrid');
-        this.productCountElement = document.getElementById('productCount');
-    }
 
+/**
+ * InMemoryProductRepository - Nguồn dữ liệu từ mảng có sẵn (dữ liệu mẫu, test)
+ */
+class InMemoryProductRepository {
     /**
-     * Khởi tạo ứng dụng
+     * @param {Array<Object>} records
      */
-    init() {
-        try {
-            this.productRenderer.showLoading();
+    constructor(records) {
+        this.records = [...records];
+        this.storesSlug = true;
+    }
 
-            // Load dữ liệu từ JSON
-            const products = this.productService.loadFromJson(PRODUCT_DATA);
+    async fetchProducts({ offset, limit }) {
+        return this.records.slice(offset, offset + limit);
+    }
 
-            // Cập nhật số lượng
-            this.updateProductCount(products.length);
+    async fetchCategories() {
+        const categoryMap = new Map();
+        this.records.forEach(record => {
+            if (record.category && !categoryMap.has(record.category.id)) {
+                categoryMap.set(record.category.id, record.category);
+            }
+        });
+        return Array.from(categoryMap.values());
+    }
 
-            // Render sản phẩm
-            this.productRenderer.renderProducts(products);
+    async fetchProductBySlug(slug) {
+        return this.records.find(record => record.slug === slug) || null;
+    }
 
-        } catch (error) {
-            this.handleError(error);
-        }
+    async fetchProductById(id) {
+        return this.records.find(record => record.id === id) || null;
+    }
+
+    async createProduct(input) {
+        const now = new Date().toISOString();
+        const nextId = this.records.reduce((maxId, record) => Math.max(maxId, record.id), 0) + 1;
+        const record = { ...this.toRecordFields(input), id: nextId, creationAt: now, updatedAt: now };
+        this.records.push(record);
+        return record;
+    }
+
+    async updateProduct(id, input) {
+        const index = this.findIndexOrThrow(id);
+        const record = {
+            ...this.records[index],
+            ...this.toRecordFields(input),
+            updatedAt: new Date().toISOString()
+        };
+        this.records[index] = record;
+        return record;
+    }
+
+    async deleteProduct(id) {
+        this.records.splice(this.findIndexOrThrow(id), 1);
     }
 
     /**
-     * Cập nhật hiển thị số lượng sản phẩm
-     * @param {number} count 
+     * @param {number} id
+     * @returns {number}
      */
-    updateProductCount(count) {
-        if (this.productCountElement) {
-            this.productCountElement.textContent = `${count} sản phẩm`;
+    findIndexOrThrow(id) {
+        const index = this.records.findIndex(record => record.id === id);
+        if (index === -1) {
+            throw new Error(`Product ${id} does not exist`);
         }
+        return index;
     }
 
     /**
-     * Xử lý lỗi
-     * @param {Error} error 
+     * @param {Object} input - ProductInput
+     * @returns {Object}
      */
-    handleError(error) {
-        this.productRenderer.showError('Có lỗi xảy ra khi tải dữ liệu sản phẩm');
-        // Log lỗi để debug (trong production nên gửi đến logging service)
-        if (typeof console !== 'undefined' && process?.env?.NODE_ENV !== 'production') {
-            console.error('ProductCatalogApp Error:', error);
+    toRecordFields({ title, slug, price, description, categoryId, images }) {
+        const category = this.records.map(record => record.category)
+            .find(item => item && item.id === categoryId);
+        if (!category) {
+            throw new Error(`Category ${categoryId} does not exist`);
         }
+        return { title, slug, price, description, category, images };
     }
 }
 
-// ========== DATA ==========
+/**
+ * HttpProductRepository - Nguồn dữ liệu từ products API kiểu Platzi
+ * (`GET /products?offset=&limit=`, `GET /categories`)
+ */
+class HttpProductRepository {
+    /**
+     * @param {HttpClient} httpClient
+     */
+    constructor(httpClient) {
+        this.httpClient = httpClient;
+        this.storesSlug = false;
+    }
+
+    async fetchProducts({ offset, limit }) {
+        return this.httpClient.getJson('/products', { offset, limit });
+    }
+
+    async fetchCategories() {
+        return this.httpClient.getJson('/categories');
+    }
+
+    async fetchProductBySlug(slug) {
+        return this.getOrNull(`/products/slug/${encodeURIComponent(slug)}`);
+    }
+
+    async fetchProductById(id) {
+        return this.getOrNull(`/products/${encodeURIComponent(id)}`);
+    }
+
+    async createProduct(input) {
+        return this.httpClient.sendJson('POST', '/products', this.toPayload(input));
+    }
+
+    async updateProduct(id, input) {
+        return this.httpClient.sendJson('PUT', `/products/${encodeURIComponent(id)}`, this.toPayload(input));
+    }
+
+    async deleteProduct(id) {
+        await this.httpClient.sendJson('DELETE', `/products/${encodeURIComponent(id)}`);
+    }
+
+    /**
+     * API kiểu Platzi tự sinh slug và từ chối field lạ trong body
+     * @param {Object} input - ProductInput
+     * @returns {Object}
+     */
+    toPayload({ slug, ...payload }) {
+        return payload;
+    }
+
+    /**
+     * API kiểu Platzi trả 400 hoặc 404 khi không tìm thấy entity
+     * @param {string} path
+     * @returns {Promise<Object|null>}
+     */
+    async getOrNull(path) {
+        try {
+            return await this.httpClient.getJson(path);
+        } catch (error) {
+            if (error instanceof HttpError && (error.status === 400 || error.status === 404)) return null;
+            throw error;
+        }
+    }
+}
+
+/**
+ * ProductRepositoryFactory - Chọn repository theo config
+ * Áp dụng Factory Pattern
+ */
+class ProductRepositoryFactory {
+    /**
+     * @param {Object} config - APP_CONFIG
+     * @returns {InMemoryProductRepository|HttpProductRepository}
+     */
+    static create(config) {
+        switch (config.dataSource) {
+            case 'memory':
+                return new InMemoryProductRepository(PRODUCT_DATA);
+            case 'http':
+                return new HttpProductRepository(new HttpClient(config.api));
+            default:
+                throw new Error(`Unknown dataSource "${config.dataSource}" in APP_CONFIG`);
+        }
+    }
+}
+
+/**
+ * CartStorage - Lưu giỏ hàng vào localStorage để giữ qua các lần tải lại trang
+ */
+class CartStorage {
+    static STORAGE_KEY = 'productCatalog.cart';
+
+    /**
+     * @param {Storage} storage
+     */
+    constructor(storage) {
+        this.storage = storage;
+    }
+
+    /**
+     * @returns {Array<Object>} - Các dòng giỏ hàng đã lưu, rỗng nếu chưa có
+     * @throws {Error} - Khi dữ liệu đã lưu bị hỏng
+     */
+    load() {
+        const raw = this.storage.getItem(CartStorage.STORAGE_KEY);
+        if (!raw) return [];
+        const lines = JSON.parse(raw);
+        if (!Array.isArray(lines)) {
+            throw new Error(`Invalid cart data in localStorage key "${CartStorage.STORAGE_KEY}"`);
+        }
+        return lines;
+    }
+
+    /**
+     * Hết quota hoặc trình duyệt chặn storage (chế độ riêng tư) thì giỏ hàng vẫn dùng được trong phiên
+     * @param {Array<Object>} lines
+     * @returns {boolean} - false khi không lưu được
+     */
+    save(lines) {
+        try {
+            this.storage.setItem(CartStorage.STORAGE_KEY, JSON.stringify(lines));
+            return true;
+        } catch {
+            return false;
+        }
+    }
+}
+
+/**
+ * BrokenImageStorage - Lưu các URL ảnh lỗi theo sản phẩm vào localStorage
+ */
+class BrokenImageStorage {
+    static STORAGE_KEY = 'productCatalog.brokenImages';
+
+    /**
+     * @param {Storage} storage
+     */
+    constructor(storage) {
+        this.storage = storage;
+    }
+
+    /**
+     * @returns {Object<string, Object<string, number>>} - productId -> { url: thời điểm ghi nhận }, rỗng nếu chưa có
+     * @throws {Error} - Khi dữ liệu đã lưu bị hỏng
+     */
+    load() {
+        const raw = this.storage.getItem(BrokenImageStorage.STORAGE_KEY);
+        if (!raw) return {};
+        const saved = JSON.parse(raw);
+        if (!saved || typeof saved !== 'object' || Array.isArray(saved)) {
+            throw new Error(`Invalid broken image data in localStorage key "${BrokenImageStorage.STORAGE_KEY}"`);
+        }
+        return saved;
+    }
+
+    /**
+     * Được gọi từ handler `error` của ảnh nên không được ném lỗi (hết quota, chế độ riêng tư)
+     * @param {Object<string, Object<string, number>>} brokenUrls
+     * @returns {boolean} - false khi không lưu được, ghi nhận chỉ giữ trong phiên
+     */
+    save(brokenUrls) {
+        try {
+            this.storage.setItem(BrokenImageStorage.STORAGE_KEY, JSON.stringify(brokenUrls));
+            return true;
+        } catch {
+            return false;
+        }
+    }
+}
+
+/**
+ * CatalogCache - Lưu bản chụp catalog gần nhất vào IndexedDB để mở app là hiển thị được ngay, kể cả khi offline
+ */
+class CatalogCache {
+    static DB_NAME = 'productCatalog';
+    static STORE_NAME = 'snapshots';
+    static SNAPSHOT_KEY = 'catalog';
+
+    /**
+     * @param {IDBFactory|undefined} indexedDb - undefined khi trình duyệt không hỗ trợ
+     */
+    constructor(indexedDb) {
+        this.indexedDb = indexedDb;
+        this.database = null;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return Boolean(this.indexedDb);
+    }
+
+    /**
+     * @returns {Promise<Object|null>} - Bản chụp đã lưu, null nếu chưa có
+     */
+    async load() {
+        const snapshot = await this.runRequest('readonly', store => store.get(CatalogCache.SNAPSHOT_KEY));
+        return snapshot || null;
+    }
+
+    /**
+     * @param {Object} snapshot - ProductService.toSnapshot()
+     * @returns {Promise<void>}
+     */
+    async save(snapshot) {
+        await this.runRequest('readwrite', store => store.put(snapshot, CatalogCache.SNAPSHOT_KEY));
+    }
+
+    /**
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                const request = this.indexedDb.open(CatalogCache.DB_NAME, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(CatalogCache.STORE_NAME);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.database;
+    }
+
+    /**
+     * @param {IDBTransactionMode} mode
+     * @param {Function} operation - (IDBObjectStore) => IDBRequest
+     * @returns {Promise<*>}
+     */
+    async runRequest(mode, operation) {
+        const database = await this.open();
+        return new Promise((resolve, reject) => {
+            const store = database.transaction(CatalogCache.STORE_NAME, mode).objectStore(CatalogCache.STORE_NAME);
+            const request = operation(store);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
+/**
+ * PreferencesStorage - Lưu ngôn ngữ và tiền tệ người dùng đã chọn
+ */
+class PreferencesStorage {
+    static STORAGE_KEY = 'productCatalog.preferences';
+
+    /**
+     * @param {Storage} storage
+     */
+    constructor(storage) {
+        this.storage = storage;
+    }
+
+    /**
+     * @returns {{ locale?: string, currency?: string }}
+     * @throws {Error} - Khi dữ liệu đã lưu bị hỏng
+     */
+    load() {
+        const raw = this.storage.getItem(PreferencesStorage.STORAGE_KEY);
+        if (!raw) return {};
+        const preferences = JSON.parse(raw);
+        if (!preferences || typeof preferences !== 'object') {
+            throw new Error(`Invalid preferences in localStorage key "${PreferencesStorage.STORAGE_KEY}"`);
+        }
+        return preferences;
+    }
+
+    /**
+     * Được gọi trong listener của Store nên không được ném lỗi (hết quota, chế độ riêng tư)
+     * @param {{ locale: string, currency: string }} preferences
+     * @returns {boolean} - false khi không lưu được, lựa chọn chỉ giữ trong phiên
+     */
+    save(preferences) {
+        try {
+            this.storage.setItem(PreferencesStorage.STORAGE_KEY, JSON.stringify(preferences));
+            return true;
+        } catch {
+            return false;
+        }
+    }
+}
+
+// ========== STATE ==========
+
+/**
+ * Store - State tập trung dạng pub/sub, view subscribe thay vì truyền dữ liệu qua nhiều tầng
+ * Áp dụng Observer Pattern
+ */
+class Store {
+    /**
+     * @param {Object} initialState
+     */
+    constructor(initialState) {
+        this.state = initialState;
+        this.listeners = new Set();
+    }
+
+    /**
+     * @returns {Object}
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Gộp các thay đổi vào state rồi báo cho mọi listener
+     * @param {Object} changes
+     */
+    setState(changes) {
+        const previousState = this.state;
+        this.state = { ...previousState, ...changes };
+        this.listeners.forEach(listener => listener(this.state, previousState));
+    }
+
+    /**
+     * @param {Function} listener - Nhận (state, previousState)
+     * @returns {Function} - Hàm hủy đăng ký
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+}
+
+// ========== LOGGING ==========
+
+/**
+ * Logger - Ghi log theo mức độ và chuyển tới các transport đã đăng ký
+ * Transport là object { minLevel, write(entry) }; transport lỗi không được làm hỏng luồng gọi log
+ */
+class Logger {
+    static LEVELS = Object.freeze(['debug', 'info', 'warn', 'error']);
+
+    /**
+     * @param {Array<{ minLevel: string, write: Function }>} transports
+     */
+    constructor(transports) {
+        this.transports = transports;
+    }
+
+    /**
+     * @param {string} message
+     * @param {Object} [context]
+     * @returns {Object} - Log entry đã ghi
+     */
+    debug(message, context) {
+        return this.log('debug', message, context);
+    }
+
+    /**
+     * @param {string} message
+     * @param {Object} [context]
+     * @returns {Object}
+     */
+    info(message, context) {
+        return this.log('info', message, context);
+    }
+
+    /**
+     * @param {string} message
+     * @param {Object} [context]
+     * @returns {Object}
+     */
+    warn(message, context) {
+        return this.log('warn', message, context);
+    }
+
+    /**
+     * @param {string} message
+     * @param {Object} [context] - Có thể chứa Error, được chuyển thành object thường
+     * @returns {Object}
+     */
+    error(message, context) {
+        return this.log('error', message, context);
+    }
+
+    /**
+     * @param {string} level - Một trong Logger.LEVELS
+     * @param {string} message
+     * @param {Object} [context]
+     * @returns {{ id: string, level: string, message: string, timestamp: string, context: Object }}
+     */
+    log(level, message, context = {}) {
+        const entry = {
+            id: Logger.createId(),
+            level,
+            message,
+            timestamp: new Date().toISOString(),
+            context: Logger.serialize(context)
+        };
+        this.transports
+            .filter(transport => Logger.isAtLeast(level, transport.minLevel))
+            .forEach(transport => {
+                try {
+                    transport.write(entry);
+                } catch {
+                    // Không log lỗi của transport để tránh vòng lặp
+                }
+            });
+        return entry;
+    }
+
+    /**
+     * @param {string} level
+     * @param {string} minLevel
+     * @returns {boolean}
+     */
+    static isAtLeast(level, minLevel) {
+        return Logger.LEVELS.indexOf(level) >= Logger.LEVELS.indexOf(minLevel);
+    }
+
+    /**
+     * Mã ngắn để người dùng đọc/gửi cho bộ phận hỗ trợ, vd. 'MG1Q2K-7F3A'
+     * @returns {string}
+     */
+    static createId() {
+        const random = Math.floor(Math.random() * 36 ** 4).toString(36).padStart(4, '0');
+        return `${Date.now().toString(36)}-${random}`.toUpperCase();
+    }
+
+    /**
+     * Error không JSON.stringify được (message/stack không enumerable) nên chuyển thành object thường
+     * @param {*} value
+     * @returns {*}
+     */
+    static serialize(value) {
+        if (value instanceof Error) {
+            return {
+                name: value.name,
+                message: value.message,
+                stack: value.stack,
+                ...(value instanceof HttpError ? { url: value.url, status: value.status } : {})
+            };
+        }
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, Logger.serialize(item)]));
+        }
+        return value;
+    }
+}
+
+/**
+ * ConsoleTransport - In log ra console của trình duyệt
+ */
+class ConsoleTransport {
+    /**
+     * @param {Console} output
+     * @param {string} minLevel
+     */
+    constructor(output, minLevel) {
+        this.output = output;
+        this.minLevel = minLevel;
+    }
+
+    /**
+     * @param {Object} entry
+     */
+    write(entry) {
+        const method = entry.level === 'debug' ? 'log' : entry.level;
+        this.output[method](`[${entry.level.toUpperCase()}] ${entry.id} ${entry.message}`, entry.context);
+    }
+}
+
+/**
+ * RingBufferTransport - Giữ N log gần nhất trong bộ nhớ, làm ngữ cảnh khi gửi lỗi về collector
+ */
+class RingBufferTransport {
+    /**
+     * @param {number} capacity
+     */
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.minLevel = 'debug';
+        this.entries = [];
+    }
+
+    /**
+     * @param {Object} entry
+     */
+    write(entry) {
+        this.entries.push(entry);
+        if (this.entries.length > this.capacity) this.entries.shift();
+    }
+
+    /**
+     * @returns {Array<Object>} - Cũ nhất trước
+     */
+    getEntries() {
+        return [...this.entries];
+    }
+}
+
+/**
+ * HttpCollectorTransport - POST từng log (JSON) tới collector, kèm các log gần nhất làm ngữ cảnh
+ * Gửi kiểu fire-and-forget: không retry, lỗi gửi bị bỏ qua để không sinh thêm log
+ */
+class HttpCollectorTransport {
+    static RECENT_ENTRY_COUNT = 20;
+
+    /**
+     * @param {Object} options
+     * @param {string} options.url
+     * @param {string} options.minLevel
+     * @param {RingBufferTransport} [options.recentEntries] - Nguồn log gần nhất
+     * @param {Function} [options.fetchFn] - Inject để test với stub
+     */
+    constructor({ url, minLevel, recentEntries = null, fetchFn }) {
+        this.url = url;
+        this.minLevel = minLevel;
+        this.recentEntries = recentEntries;
+        this.fetchFn = fetchFn || ((...args) => fetch(...args));
+    }
+
+    /**
+     * @param {Object} entry
+     */
+    write(entry) {
+        const recent = this.recentEntries
+            ? this.recentEntries.getEntries()
+                .filter(item => item.id !== entry.id)
+                .slice(-HttpCollectorTransport.RECENT_ENTRY_COUNT)
+            : [];
+        this.fetchFn(this.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...entry, page: window.location.href, recent }),
+            // Vẫn gửi được khi trang đang đóng
+            keepalive: true
+        }).catch(() => undefined);
+    }
+}
+
+/**
+ * LoggerFactory - Dựng Logger với các transport theo config
+ * Áp dụng Factory Pattern
+ */
+class LoggerFactory {
+    /**
+     * @param {Object} options - APP_CONFIG.logging
+     * @param {string} options.consoleLevel
+     * @param {number} options.bufferSize
+     * @param {string} options.collectorUrl - Rỗng thì không gửi log về server
+     * @param {string} options.collectorLevel
+     * @param {Function} [fetchFn] - Inject để test collector với stub
+     * @returns {Logger}
+     */
+    static create({ consoleLevel, bufferSize, collectorUrl, collectorLevel }, fetchFn) {
+        [consoleLevel, collectorLevel].forEach(level => {
+            if (!Logger.LEVELS.includes(level)) {
+                throw new Error(`Unknown log level "${level}" in APP_CONFIG.logging`);
+            }
+        });
+        const buffer = new RingBufferTransport(bufferSize);
+        const transports = [buffer, new ConsoleTransport(console, consoleLevel)];
+        if (collectorUrl) {
+            transports.push(new HttpCollectorTransport({ url: collectorUrl, minLevel: collectorLevel, recentEntries: buffer, fetchFn }));
+        }
+        return new Logger(transports);
+    }
+}
+
+/**
+ * ErrorClassifier - Phân loại lỗi để hiển thị thông báo và gợi ý phù hợp cho người dùng
+ */
+class ErrorClassifier {
+    static TYPES = Object.freeze(['offline', 'timeout', 'network', 'server', 'client', 'unknown']);
+
+    /**
+     * @param {*} error
+     * @param {boolean} isOnline - navigator.onLine
+     * @returns {string} - Một trong ErrorClassifier.TYPES
+     */
+    static classify(error, isOnline) {
+        if (!(error instanceof HttpError)) return 'unknown';
+        if (error.status === undefined) {
+            if (!isOnline) return 'offline';
+            return error.timedOut ? 'timeout' : 'network';
+        }
+        // Status 2xx/3xx ở đây nghĩa là body hỏng, cũng là lỗi phía server
+        return error.status < 400 || error.status >= 500 || error.status === 429 ? 'server' : 'client';
+    }
+}
+
+// ========== SERVICE ==========
+
+/**
+ * TextSearch - So khớp văn bản không phân biệt hoa thường và dấu
+ * Dữ liệu trộn tiếng Việt, Ả Rập và tiếng Anh nên bỏ mọi dấu (combining marks)
+ * sau khi tách NFD; "đ" không tách được nên thay riêng
+ */
+class TextSearch {
+    /**
+     * @param {string} text
+     * @returns {string}
+     */
+    static normalize(text) {
+        return (text || '')
+            .normalize('NFD')
+            .replace(/\p{M}/gu, '')
+            .replace(/đ/g, 'd')
+            .replace(/Đ/g, 'D')
+            .toLowerCase();
+    }
+
+    /**
+     * Mọi từ trong searchText phải xuất hiện trong ít nhất một field
+     * @param {Array<string>} fields
+     * @param {string} searchText
+     * @returns {boolean}
+     */
+    static matches(fields, searchText) {
+        const haystack = TextSearch.normalize(fields.join(' '));
+        return TextSearch.normalize(searchText)
+            .split(/\s+/)
+            .filter(Boolean)
+            .every(term => haystack.includes(term));
+    }
+}
+
+/**
+ * SlugGenerator - Tạo slug từ tiêu đề
+ * Bỏ dấu tiếng Việt nhưng giữ nguyên chữ của các hệ chữ khác (Ả Rập...) thay vì xóa mất,
+ * trình duyệt tự encode khi dùng trong URL
+ */
+class SlugGenerator {
+    static FALLBACK_SLUG = 'product';
+
+    /**
+     * @param {string} text
+     * @returns {string}
+     */
+    static slugify(text) {
+        const slug = TextSearch.normalize(text)
+            .replace(/[^\p{L}\p{N}]+/gu, '-')
+            .replace(/^-+|-+$/g, '');
+        return slug || SlugGenerator.FALLBACK_SLUG;
+    }
+
+    /**
+     * Thêm hậu tố -2, -3... cho tới khi không trùng
+     * @param {string} text
+     * @param {Function} isTaken - (slug) => boolean
+     * @returns {string}
+     */
+    static generateUnique(text, isTaken) {
+        const baseSlug = SlugGenerator.slugify(text);
+        let candidate = baseSlug;
+        for (let suffix = 2; isTaken(candidate); suffix++) {
+            candidate = `${baseSlug}-${suffix}`;
+        }
+        return candidate;
+    }
+
+    /**
+     * Như generateUnique nhưng isTaken trả về Promise (vd. hỏi backend)
+     * @param {string} text
+     * @param {Function} isTaken - (slug) => Promise<boolean>
+     * @returns {Promise<string>}
+     */
+    static async generateUniqueAsync(text, isTaken) {
+        const baseSlug = SlugGenerator.slugify(text);
+        let candidate = baseSlug;
+        for (let suffix = 2; await isTaken(candidate); suffix++) {
+            candidate = `${baseSlug}-${suffix}`;
+        }
+        return candidate;
+    }
+}
+
+/**
+ * ProductValidator - Kiểm tra và chuẩn hóa dữ liệu form sản phẩm thành ProductInput
+ */
+class ProductValidator {
+    static TITLE_MIN_LENGTH = 3;
+    static TITLE_MAX_LENGTH = 120;
+    static DESCRIPTION_MIN_LENGTH = 10;
+    static PRICE_MAX = 1000000;
+
+    /**
+     * @param {Object} values - Giá trị thô từ form (chuỗi)
+     * @param {Array<Category>} categories - Danh mục hợp lệ
+     * @returns {{ input: Object, errors: Object<string, string> }} - errors rỗng nghĩa là hợp lệ
+     */
+    static validate(values, categories) {
+        const input = {
+            title: values.title.trim(),
+            price: Number(values.price),
+            description: values.description.trim(),
+            categoryId: Number(values.categoryId),
+            images: values.images.split('\n').map(url => url.trim()).filter(Boolean)
+        };
+        const errors = {};
+        const titleError = ProductValidator.validateTitle(input.title);
+        const priceError = ProductValidator.validatePrice(values.price, input.price);
+        const imagesError = ProductValidator.validateImages(input.images);
+        if (titleError) errors.title = titleError;
+        if (priceError) errors.price = priceError;
+        if (input.description.length < ProductValidator.DESCRIPTION_MIN_LENGTH) {
+            errors.description = I18n.t('validation.descriptionLength', { min: ProductValidator.DESCRIPTION_MIN_LENGTH });
+        }
+        if (!categories.some(category => category.id === input.categoryId)) {
+            errors.categoryId = I18n.t('validation.category');
+        }
+        if (imagesError) errors.images = imagesError;
+        return { input, errors };
+    }
+
+    /**
+     * Tiêu đề chỉ có số hoặc ký hiệu (vd. "88") không mô tả được sản phẩm
+     * @param {string} title
+     * @returns {string|null}
+     */
+    static validateTitle(title) {
+        if (title.length < ProductValidator.TITLE_MIN_LENGTH || title.length > ProductValidator.TITLE_MAX_LENGTH) {
+            return I18n.t('validation.titleLength', {
+                min: ProductValidator.TITLE_MIN_LENGTH,
+                max: ProductValidator.TITLE_MAX_LENGTH
+            });
+        }
+        if (!/\p{L}/u.test(title)) return I18n.t('validation.titleLetters');
+        return null;
+    }
+
+    /**
+     * @param {string} rawPrice
+     * @param {number} price
+     * @returns {string|null}
+     */
+    static validatePrice(rawPrice, price) {
+        if (rawPrice.trim() === '' || !Number.isFinite(price)) return I18n.t('validation.priceNumber');
+        if (price <= 0 || price > ProductValidator.PRICE_MAX) {
+            return I18n.t('validation.priceRange', { max: ProductValidator.PRICE_MAX });
+        }
+        if (!/^\d+(\.\d{1,2})?$/.test(rawPrice.trim())) return I18n.t('validation.priceDecimals');
+        return null;
+    }
+
+    /**
+     * @param {Array<string>} images
+     * @returns {string|null}
+     */
+    static validateImages(images) {
+        if (images.length === 0) return I18n.t('validation.imagesRequired');
+        const invalidUrl = images.find(url => !ProductValidator.isHttpUrl(url));
+        return invalidUrl ? I18n.t('validation.imageUrl', { url: invalidUrl }) : null;
+    }
+
+    /**
+     * @param {string} value
+     * @returns {boolean}
+     */
+    static isHttpUrl(value) {
+        try {
+            return ['http:', 'https:'].includes(new URL(value).protocol);
+        } catch {
+            return false;
+        }
+    }
+}
+
+/**
+ * FieldNormalizer - Chuẩn hóa từng field của bản ghi thô, trả về undefined khi không sửa được
+ */
+class FieldNormalizer {
+    /**
+     * @param {*} value - Số hoặc chuỗi số ("12")
+     * @returns {number|undefined}
+     */
+    static toInteger(value) {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        return Number.isInteger(number) ? number : undefined;
+    }
+
+    /**
+     * @param {*} value - Số hoặc chuỗi số, không âm
+     * @returns {number|undefined}
+     */
+    static toPrice(value) {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        return typeof number === 'number' && Number.isFinite(number) && number >= 0 ? number : undefined;
+    }
+
+    /**
+     * @param {*} value
+     * @returns {string|undefined}
+     */
+    static toTrimmedString(value) {
+        return typeof value === 'string' ? value.trim() : undefined;
+    }
+
+    /**
+     * @param {*} value
+     * @returns {string|undefined} - ISO string
+     */
+    static toIsoDate(value) {
+        if (typeof value !== 'string' && !(value instanceof Date)) return undefined;
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+    }
+
+    /**
+     * API kiểu Platzi đôi khi trả URL ảnh bọc trong chuỗi JSON (`'["https://..."]'`)
+     * @param {*} value
+     * @returns {Array<string>}
+     */
+    static toImageList(value) {
+        if (!Array.isArray(value)) return [];
+        return value
+            .filter(item => typeof item === 'string')
+            .map(item => item.replace(/^[\s["]+|[\s\]"]+$/g, ''))
+            .filter(Boolean);
+    }
+
+    /**
+     * Lý do lỗi lưu dạng khóa i18n + tham số, chỉ dịch khi hiển thị để đổi ngôn ngữ không làm lệch báo cáo
+     * @param {string} key
+     * @param {Object} [params]
+     * @returns {{ key: string, params: Object }}
+     */
+    static reason(key, params = {}) {
+        return { key, params };
+    }
+
+    /**
+     * @param {string} field
+     * @param {*} value - Giá trị gốc, in ra nguyên dạng JSON để dễ debug
+     * @returns {{ key: string, params: Object }}
+     */
+    static invalidField(field, value) {
+        return FieldNormalizer.reason('schema.invalidField', { field, value: JSON.stringify(value) });
+    }
+}
+
+/**
+ * CategorySchema - Kiểm tra và chuẩn hóa bản ghi category thô
+ */
+class CategorySchema {
+    /**
+     * @param {*} record
+     * @returns {{ value: Object|null, errors: Array<{ key: string, params: Object }> }}
+     */
+    static normalize(record) {
+        if (!record || typeof record !== 'object') {
+            return { value: null, errors: [FieldNormalizer.reason('schema.missingCategory')] };
+        }
+        const errors = [];
+        const value = {
+            id: FieldNormalizer.toInteger(record.id),
+            name: FieldNormalizer.toTrimmedString(record.name),
+            slug: FieldNormalizer.toTrimmedString(record.slug),
+            image: FieldNormalizer.toTrimmedString(record.image) || '',
+            creationAt: FieldNormalizer.toIsoDate(record.creationAt),
+            updatedAt: FieldNormalizer.toIsoDate(record.updatedAt)
+        };
+        if (value.id === undefined) errors.push(FieldNormalizer.invalidField('category.id', record.id));
+        if (!value.name) errors.push(FieldNormalizer.reason('schema.emptyField', { field: 'category.name' }));
+        if (!value.slug && value.name) value.slug = SlugGenerator.slugify(value.name);
+        if (value.creationAt === undefined) errors.push(FieldNormalizer.invalidField('category.creationAt', record.creationAt));
+        value.updatedAt = value.updatedAt || value.creationAt;
+        return { value: errors.length === 0 ? value : null, errors };
+    }
+}
+
+/**
+ * ProductSchema - Kiểm tra và chuẩn hóa bản ghi sản phẩm thô trước khi tạo Product
+ * Sửa được thì sửa (trim, giá dạng chuỗi, thiếu updatedAt), không sửa được thì trả lỗi để cách ly
+ */
+class ProductSchema {
+    /**
+     * @param {*} record
+     * @returns {{ value: Object|null, errors: Array<{ key: string, params: Object }> }}
+     */
+    static normalize(record) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            return { value: null, errors: [FieldNormalizer.reason('schema.notObject')] };
+        }
+        const category = CategorySchema.normalize(record.category);
+        const errors = [...category.errors];
+        const value = {
+            id: FieldNormalizer.toInteger(record.id),
+            title: FieldNormalizer.toTrimmedString(record.title),
+            slug: FieldNormalizer.toTrimmedString(record.slug) || '',
+            price: FieldNormalizer.toPrice(record.price),
+            description: FieldNormalizer.toTrimmedString(record.description) || '',
+            category: category.value,
+            images: FieldNormalizer.toImageList(record.images),
+            creationAt: FieldNormalizer.toIsoDate(record.creationAt),
+            updatedAt: FieldNormalizer.toIsoDate(record.updatedAt)
+        };
+        if (value.id === undefined) errors.push(FieldNormalizer.invalidField('id', record.id));
+        if (!value.title) errors.push(FieldNormalizer.reason('schema.emptyField', { field: 'title' }));
+        if (value.price === undefined) errors.push(FieldNormalizer.invalidField('price', record.price));
+        if (value.creationAt === undefined) errors.push(FieldNormalizer.invalidField('creationAt', record.creationAt));
+        value.updatedAt = value.updatedAt || value.creationAt;
+        return { value: errors.length === 0 ? value : null, errors };
+    }
+}
+
+/**
+ * ProductService - Quản lý dữ liệu sản phẩm
+ * Áp dụng Service Pattern
+ */
+class ProductService {
+    static IMPORT_STRATEGIES = Object.freeze(['upsert-id', 'upsert-slug', 'replace']);
+
+    /**
+     * @param {InMemoryProductRepository|HttpProductRepository} repository
+     * @param {Object} options
+     * @param {number} options.pageSize
+     */
+    constructor(repository, { pageSize }) {
+        this.repository = repository;
+        this.pageSize = pageSize;
+        this.products = [];
+        this.categories = [];
+        // Bản ghi không qua được schema, theo khóa `${kind}:${id}`: { kind, record, errors }
+        this.quarantine = new Map();
+        this.nextOffset = 0;
+        this.hasMore = true;
+        this.changeListeners = new Set();
+        // ID âm cho sản phẩm vừa tạo, chưa được server xác nhận
+        this.nextTemporaryId = -1;
+        // Sản phẩm mới từ lần revalidate gần nhất, chờ người dùng chọn hiển thị
+        this.newProducts = [];
+        // Thời điểm dữ liệu được tải từ server (không đổi khi khôi phục từ bản chụp offline)
+        this.fetchedAt = null;
+    }
+
+    /**
+     * Đăng ký nhận thông báo khi danh sách sản phẩm bị sửa (tạo/sửa/xóa, kể cả khi hoàn tác)
+     * @param {Function} listener
+     * @returns {Function} - Hàm hủy đăng ký
+     */
+    subscribe(listener) {
+        this.changeListeners.add(listener);
+        return () => this.changeListeners.delete(listener);
+    }
+
+    notifyChange() {
+        this.changeListeners.forEach(listener => listener());
+    }
+
+    /**
+     * Load sản phẩm từ JSON data
+     * Bản ghi lỗi được cách ly thay vì làm hỏng cả lần tải
+     * @param {Array} jsonData - Dữ liệu JSON
+     * @returns {Array<Product>}
+     */
+    loadFromJson(jsonData) {
+        this.products = this.createProducts(jsonData);
+        return this.products;
+    }
+
+    /**
+     * Kiểm tra từng bản ghi theo ProductSchema, bản ghi lỗi đưa vào quarantine
+     * @param {Array} records
+     * @returns {Array<Product>}
+     */
+    createProducts(records) {
+        if (!Array.isArray(records)) {
+            throw new Error(`Product data must be an array, received ${typeof records}`);
+        }
+        const products = [];
+        records.forEach(record => {
+            const { value, errors } = ProductSchema.normalize(record);
+            if (errors.length > 0) {
+                this.addToQuarantine('product', record, errors);
+            } else {
+                products.push(new Product(value));
+            }
+        });
+        return products;
+    }
+
+    /**
+     * Cùng một bản ghi lỗi có thể gặp lại nhiều lần (trang chi tiết, so sánh, tải lại)
+     * nên chỉ giữ một mục theo ID
+     * @param {string} kind - 'product' | 'category'
+     * @param {*} record
+     * @param {Array<{ key: string, params: Object }>} errors
+     */
+    addToQuarantine(kind, record, errors) {
+        const id = record && typeof record === 'object' ? record.id : undefined;
+        this.quarantine.set(`${kind}:${id ?? JSON.stringify(record)}`, { kind, record, errors });
+    }
+
+    /**
+     * @param {Object|null} record
+     * @returns {Product|null}
+     */
+    createProductOrNull(record) {
+        return record ? this.createProducts([record])[0] || null : null;
+    }
+
+    /**
+     * @returns {Array<{ kind: string, record: Object, errors: Array<{ key: string, params: Object }> }>}
+     */
+    getQuarantine() {
+        return Array.from(this.quarantine.values());
+    }
+
+    /**
+     * Tải lại catalog từ trang đầu tiên
+     * @returns {Promise<Array<Product>>}
+     */
+    async reload() {
+        const [firstPage, categories] = await Promise.all([
+            this.repository.fetchProducts({ offset: 0, limit: this.pageSize }),
+            this.repository.fetchCategories()
+        ]);
+        this.quarantine.clear();
+        this.categories = this.createCategories(categories);
+        this.updatePaging(0, firstPage.length);
+        this.newProducts = [];
+        this.fetchedAt = new Date();
+        return this.loadFromJson(firstPage);
+    }
+
+    /**
+     * @param {Array} records
+     * @returns {Array<Category>} - Category không hợp lệ được đưa vào quarantine như sản phẩm
+     */
+    createCategories(records) {
+        const categories = [];
+        records.forEach(record => {
+            const { value, errors } = CategorySchema.normalize(record);
+            if (errors.length > 0) {
+                this.addToQuarantine('category', record, errors);
+            } else {
+                categories.push(new Category(value));
+            }
+        });
+        return categories;
+    }
+
+    /**
+     * Bản chụp catalog đã tải để lưu offline, bỏ sản phẩm đang chờ server xác nhận
+     * @returns {Object}
+     */
+    toSnapshot() {
+        return {
+            products: this.products.filter(product => !this.isPending(product)).map(product => CatalogExporter.toRecord(product)),
+            categories: this.categories.map(category => CatalogExporter.toCategoryRecord(category)),
+            nextOffset: this.nextOffset,
+            hasMore: this.hasMore,
+            fetchedAt: this.fetchedAt?.toISOString() ?? null
+        };
+    }
+
+    /**
+     * Hiển thị ngay catalog đã lưu, dữ liệu vẫn đi qua ProductSchema như khi tải từ server
+     * @param {Object} snapshot - Kết quả toSnapshot()
+     * @returns {Array<Product>}
+     * @throws {Error} - Khi bản chụp không đúng cấu trúc
+     */
+    restoreSnapshot(snapshot) {
+        if (!snapshot || !Array.isArray(snapshot.products) || !Array.isArray(snapshot.categories)) {
+            throw new Error('Invalid catalog snapshot');
+        }
+        this.quarantine.clear();
+        this.categories = this.createCategories(snapshot.categories);
+        this.nextOffset = snapshot.nextOffset;
+        this.hasMore = snapshot.hasMore;
+        this.newProducts = [];
+        this.fetchedAt = snapshot.fetchedAt ? new Date(snapshot.fetchedAt) : null;
+        return this.loadFromJson(snapshot.products);
+    }
+
+    /**
+     * Stale-while-revalidate: tải lại đúng số bản ghi đang có và chỉ áp dụng phần khác biệt,
+     * sản phẩm không đổi giữ nguyên object (grid không phải dựng lại card).
+     * Sản phẩm tạo sau lần tải trước được giữ riêng, chỉ hiện khi gọi showNewProducts().
+     * Sản phẩm cũ chưa tải bị đẩy vào khoảng này (server xóa bớt bản ghi phía trước) được nối vào cuối danh sách.
+     * Sản phẩm đã tải nhưng không nằm trong khoảng vừa tải lại chưa chắc đã bị xóa, xem checkMissingProducts().
+     * @returns {Promise<{ changed: number, removed: number, added: number }>}
+     */
+    async revalidate() {
+        const limit = Math.max(this.pageSize, this.nextOffset);
+        const [records, categories] = await Promise.all([
+            this.repository.fetchProducts({ offset: 0, limit }),
+            this.repository.fetchCategories()
+        ]);
+        this.quarantine.clear();
+        this.categories = this.createCategories(categories);
+        const fresh = new Map(this.createProducts(records).map(product => [product.id, product]));
+        this.updatePaging(0, records.length, limit);
+        const previousFetchedAt = this.fetchedAt;
+        this.fetchedAt = new Date();
+        // Sản phẩm đang chờ server xác nhận chưa có trên server, không phải bị xóa
+        const missing = this.products.filter(product => !fresh.has(product.id) && !this.isPending(product));
+        const checked = await this.checkMissingProducts(missing, records.length < limit);
+
+        let changed = 0;
+        let removed = 0;
+        this.products = this.products.flatMap(product => {
+            const freshProduct = fresh.get(product.id) ?? checked.get(product.id);
+            fresh.delete(product.id);
+            // Chưa kiểm tra được (lỗi mạng) thì giữ bản cũ
+            if (freshProduct === undefined) return [product];
+            if (freshProduct === null) {
+                removed++;
+                return [];
+            }
+            if (ProductService.isSameProduct(product, freshProduct)) return [product];
+            changed++;
+            return [freshProduct];
+        });
+        const unseen = Array.from(fresh.values());
+        this.newProducts = unseen.filter(product => previousFetchedAt !== null && product.creationAt > previousFetchedAt);
+        const shifted = unseen.filter(product => !this.newProducts.includes(product));
+        this.products = [...this.products, ...shifted];
+        if (changed > 0 || removed > 0 || shifted.length > 0) this.notifyChange();
+        return { changed, removed, added: this.newProducts.length };
+    }
+
+    /**
+     * Sản phẩm không có trong khoảng vừa tải lại có thể chỉ nằm ngoài khoảng đó
+     * (vừa tạo trong phiên, server chèn thêm bản ghi phía trước) nên được hỏi lại theo ID,
+     * trừ khi đã tải hết danh sách trên server
+     * @param {Array<Product>} products
+     * @param {boolean} reachedEnd
+     * @returns {Promise<Map<number, Product|null>>} - null nghĩa là đã bị xóa, không có mục nghĩa là chưa kiểm tra được
+     */
+    async checkMissingProducts(products, reachedEnd) {
+        if (reachedEnd) return new Map(products.map(product => [product.id, null]));
+        const results = await Promise.allSettled(products.map(product => this.repository.fetchProductById(product.id)));
+        const checked = new Map();
+        results.forEach((result, index) => {
+            if (result.status === 'fulfilled') checked.set(products[index].id, this.createProductOrNull(result.value));
+        });
+        return checked;
+    }
+
+    /**
+     * @param {Product} product
+     * @param {Product} other
+     * @returns {boolean}
+     */
+    static isSameProduct(product, other) {
+        return JSON.stringify(CatalogExporter.toRecord(product)) === JSON.stringify(CatalogExporter.toRecord(other));
+    }
+
+    /**
+     * @returns {Date|null}
+     */
+    getLastFetchedAt() {
+        return this.fetchedAt;
+    }
+
+    /**
+     * @returns {number} - Số sản phẩm mới từ lần revalidate, chưa hiển thị
+     */
+    getNewProductCount() {
+        return this.newProducts.length;
+    }
+
+    /**
+     * Đưa các sản phẩm mới lên đầu danh sách
+     */
+    showNewProducts() {
+        this.products = [...this.newProducts, ...this.products];
+        this.newProducts = [];
+        this.notifyChange();
+    }
+
+    /**
+     * Tải trang tiếp theo (phân trang phía server) và nối vào danh sách
+     * @returns {Promise<Array<Product>>} - Các sản phẩm mới của trang
+     */
+    async loadNextPage() {
+        const page = await this.repository.fetchProducts({ offset: this.nextOffset, limit: this.pageSize });
+        // Server có thêm sản phẩm từ lần revalidate thì offset bị lệch, bỏ các bản ghi đã có
+        const knownIds = new Set(this.products.concat(this.newProducts).map(product => product.id));
+        const newProducts = this.createProducts(page).filter(product => !knownIds.has(product.id));
+        this.updatePaging(this.nextOffset, page.length);
+        this.products = this.products.concat(newProducts);
+        return newProducts;
+    }
+
+    /**
+     * @param {number} offset - Offset của trang vừa tải
+     * @param {number} receivedCount - Số bản ghi server trả về
+     * @param {number} [requestedCount] - Số bản ghi đã yêu cầu (limit)
+     */
+    updatePaging(offset, receivedCount, requestedCount = this.pageSize) {
+        this.nextOffset = offset + receivedCount;
+        this.hasMore = receivedCount === requestedCount;
+    }
+
+    /**
+     * Lấy tất cả sản phẩm
+     * @returns {Array<Product>}
+     */
+    getAllProducts() {
+        return this.products;
+    }
+
+    /**
+     * Lấy số lượng sản phẩm
+     * @returns {number}
+     */
+    getProductCount() {
+        return this.products.length;
+    }
+
+    /**
+     * Tìm sản phẩm theo ID
+     * @param {number} id 
+     * @returns {Product|undefined}
+     */
+    findById(id) {
+        return this.products.find(product => product.id === id);
+    }
+
+    /**
+     * Lấy sản phẩm theo slug, hỏi repository nếu chưa có trong các trang đã tải (deep link)
+     * @param {string} slug
+     * @returns {Promise<Product|null>}
+     */
+    async getProductBySlug(slug) {
+        const loaded = this.products.find(product => product.slug === slug);
+        if (loaded) return loaded;
+        return this.createProductOrNull(await this.repository.fetchProductBySlug(slug));
+    }
+
+    /**
+     * Lấy sản phẩm theo ID, dùng cho sản phẩm không có slug
+     * @param {number} id
+     * @returns {Promise<Product|null>}
+     */
+    async getProductById(id) {
+        const loaded = this.findById(id);
+        if (loaded) return loaded;
+        return this.createProductOrNull(await this.repository.fetchProductById(id));
+    }
+
+    /**
+     * Tìm category theo slug trong danh sách từ server và các sản phẩm đã tải
+     * @param {string} slug
+     * @returns {Category|undefined}
+     */
+    findCategoryBySlug(slug) {
+        return this.getAvailableCategories().find(category => category.slug === slug);
+    }
+
+    /**
+     * Danh mục từ server cộng với danh mục của các sản phẩm đã tải, không trùng ID
+     * @returns {Array<Category>}
+     */
+    getAvailableCategories() {
+        const categoryMap = new Map();
+        this.categories.concat(this.getUniqueCategories()).forEach(category => {
+            if (!categoryMap.has(category.id)) categoryMap.set(category.id, category);
+        });
+        return Array.from(categoryMap.values());
+    }
+
+    /**
+     * Slug dự kiến để xem trước khi gõ tiêu đề, chỉ so với các sản phẩm đã tải
+     * @param {string} title
+     * @param {number|null} excludeId - Sản phẩm đang sửa, không tính là trùng với chính nó
+     * @returns {string}
+     */
+    previewSlug(title, excludeId = null) {
+        return SlugGenerator.generateUnique(title, slug =>
+            this.products.some(product => product.slug === slug && product.id !== excludeId)
+        );
+    }
+
+    /**
+     * Slug duy nhất trong toàn catalog: slug chưa có trong các trang đã tải vẫn được hỏi lại repository
+     * @param {string} title
+     * @param {number|null} excludeId - Sản phẩm đang sửa, không tính là trùng với chính nó
+     * @returns {Promise<string>}
+     */
+    async generateSlug(title, excludeId = null) {
+        return SlugGenerator.generateUniqueAsync(title, async slug => {
+            const owner = this.products.find(product => product.slug === slug)
+                || await this.repository.fetchProductBySlug(slug);
+            return Boolean(owner) && owner.id !== excludeId;
+        });
+    }
+
+    /**
+     * Chỉ hỏi repository khi slug được lưu lại; backend tự sinh slug thì dùng slug xem trước
+     * cho bản optimistic và lấy slug thật từ bản ghi đã lưu
+     * @param {string} title
+     * @param {number|null} excludeId
+     * @returns {Promise<string>}
+     */
+    async resolveSlug(title, excludeId = null) {
+        return this.repository.storesSlug
+            ? this.generateSlug(title, excludeId)
+            : this.previewSlug(title, excludeId);
+    }
+
+    /**
+     * Tạo sản phẩm, hiển thị ngay (optimistic) và gỡ bỏ nếu backend từ chối
+     * @param {Object} input - ProductInput đã validate, chưa có slug
+     * @returns {Promise<Product>}
+     */
+    async createProduct(input) {
+        const inputWithSlug = { ...input, slug: await this.resolveSlug(input.title) };
+        const now = new Date();
+        const temporary = new Product(this.buildRecord(inputWithSlug, {
+            id: this.nextTemporaryId--,
+            creationAt: now,
+            updatedAt: now
+        }));
+        this.products = [temporary, ...this.products];
+        this.notifyChange();
+        try {
+            const saved = new Product(await this.repository.createProduct(inputWithSlug));
+            this.replaceProduct(temporary.id, saved);
+            return saved;
+        } catch (error) {
+            this.products = this.products.filter(product => product !== temporary);
+            throw error;
+        } finally {
+            this.notifyChange();
+        }
+    }
+
+    /**
+     * Sửa sản phẩm optimistic, khôi phục bản cũ nếu backend từ chối
+     * Slug được tạo lại khi đổi tiêu đề hoặc khi sản phẩm chưa có slug.
+     * Sản phẩm chưa nằm trong các trang đã tải (mở form từ deep link) được lấy từ repository.
+     * @param {number} id
+     * @param {Object} input - ProductInput đã validate, chưa có slug
+     * @returns {Promise<Product>}
+     */
+    async updateProduct(id, input) {
+        const original = await this.getProductById(id);
+        if (!original) {
+            throw new Error(`Cannot update product ${id}: product does not exist`);
+        }
+        const slug = original.slug && original.title === input.title
+            ? original.slug
+            : await this.resolveSlug(input.title, id);
+        const inputWithSlug = { ...input, slug };
+        this.replaceProduct(id, new Product(this.buildRecord(inputWithSlug, { ...original, updatedAt: new Date() })));
+        this.notifyChange();
+        try {
+            const saved = new Product(await this.repository.updateProduct(id, inputWithSlug));
+            this.replaceProduct(id, saved);
+            return saved;
+        } catch (error) {
+            this.replaceProduct(id, original);
+            throw error;
+        } finally {
+            this.notifyChange();
+        }
+    }
+
+    /**
+     * Xóa sản phẩm optimistic, đưa lại trước sản phẩm đứng sau nó nếu backend từ chối
+     * (danh sách có thể đã đổi trong lúc chờ nên không dựa vào vị trí cũ)
+     * @param {number} id
+     * @returns {Promise<void>}
+     */
+    async deleteProduct(id) {
+        const index = this.products.findIndex(product => product.id === id);
+        if (index === -1) {
+            throw new Error(`Cannot delete product ${id}: product not loaded`);
+        }
+        const removed = this.products[index];
+        const followingId = this.products[index + 1]?.id;
+        this.products = this.products.filter(product => product !== removed);
+        this.notifyChange();
+        try {
+            await this.repository.deleteProduct(id);
+        } catch (error) {
+            this.restoreProduct(removed, followingId);
+            throw error;
+        } finally {
+            this.notifyChange();
+        }
+    }
+
+    /**
+     * Dry run của import: mỗi bản ghi đi qua ProductSchema -> Product như loadFromJson,
+     * kèm hành động sẽ thực hiện. Không thay đổi catalog.
+     * - 'upsert-id' / 'upsert-slug': trùng khóa thì cập nhật, không trùng thì tạo mới
+     * - 'replace': bỏ toàn bộ catalog hiện tại, chỉ giữ dữ liệu import
+     * @param {Array<Object>} records - Bản ghi thô dạng API (category lồng bên trong)
+     * @param {string} strategy - Một trong ProductService.IMPORT_STRATEGIES
+     * @returns {Array<{ index: number, action: string, product: Product|null, target: Product|null, errors: Array<{ key: string, params: Object }> }>}
+     */
+    planImport(records, strategy) {
+        if (!ProductService.IMPORT_STRATEGIES.includes(strategy)) {
+            throw new Error(`Unknown import strategy "${strategy}"`);
+        }
+        const existing = strategy === 'replace' ? [] : this.products;
+        const byId = new Map(existing.map(product => [product.id, product]));
+        const bySlug = new Map(existing.filter(product => product.slug).map(product => [product.slug, product]));
+        // id -> sản phẩm đang giữ id đó, hoặc số thứ tự dòng import đã nhận id
+        const idOwners = new Map(byId);
+        const usedSlugs = new Set(bySlug.keys());
+        const now = new Date().toISOString();
+        let nextId = Math.max(0, ...this.products.map(product => product.id),
+            ...records.map(record => FieldNormalizer.toInteger(record.id) || 0)) + 1;
+
+        return records.map((record, index) => {
+            const recordId = record.id === '' || record.id === null || record.id === undefined ? undefined : record.id;
+            const slug = FieldNormalizer.toTrimmedString(record.slug);
+            const target = strategy === 'upsert-slug'
+                ? (slug ? bySlug.get(slug) : undefined)
+                : byId.get(FieldNormalizer.toInteger(recordId));
+            const id = strategy === 'upsert-slug' && target ? target.id : (recordId ?? nextId++);
+            const owner = idOwners.get(FieldNormalizer.toInteger(id));
+            if (owner !== undefined && owner !== target) {
+                return { index, action: 'reject', product: null, target: null, errors: [FieldNormalizer.reason('import.duplicateId', { id })] };
+            }
+
+            const category = record.category && typeof record.category === 'object'
+                ? { ...record.category, creationAt: record.category.creationAt || now }
+                : record.category;
+            const { value, errors } = ProductSchema.normalize({
+                ...record,
+                id,
+                category,
+                creationAt: record.creationAt || target?.creationAt || now,
+                updatedAt: record.updatedAt || now
+            });
+            if (!value) return { index, action: 'reject', product: null, target: null, errors };
+
+            if (!value.slug || (usedSlugs.has(value.slug) && value.slug !== target?.slug)) {
+                value.slug = SlugGenerator.generateUnique(value.title, candidate => usedSlugs.has(candidate));
+            }
+            usedSlugs.add(value.slug);
+            idOwners.set(value.id, index);
+            return { index, action: target ? 'update' : 'create', product: new Product(value), target: target || null, errors: [] };
+        });
+    }
+
+    /**
+     * Lưu đúng plan người dùng đã xem trước qua repository như form quản trị.
+     * Gửi lần lượt từng dòng để lỗi của dòng này không chặn các dòng khác.
+     * 'replace': toàn bộ sản phẩm trên server (kể cả trang chưa tải) chỉ bị xóa khi mọi dòng đều lưu được,
+     * tránh mất dữ liệu cũ khi import dở dang.
+     * @param {Array<Object>} plan - Kết quả planImport đã hiển thị
+     * @param {string} strategy
+     * @returns {Promise<{ created: number, updated: number, rejected: number, removed: number, notRemoved: number, failed: Array<{ index: number, reason: string }> }>}
+     */
+    async importProducts(plan, strategy) {
+        const created = [];
+        const updates = new Map();
+        const failed = [];
+        for (const row of plan.filter(item => item.product)) {
+            const input = ProductService.toInput(row.product);
+            try {
+                if (row.target) {
+                    updates.set(row.target.id, new Product(await this.repository.updateProduct(row.target.id, input)));
+                } else {
+                    created.push(new Product(await this.repository.createProduct(input)));
+                }
+            } catch (error) {
+                failed.push({ index: row.index, reason: error.message });
+            }
+        }
+
+        let kept = this.products.map(product => updates.get(product.id) || product);
+        let removed = 0;
+        let notRemoved = 0;
+        if (strategy === 'replace' && failed.length === 0) {
+            const savedIds = new Set([...created.map(product => product.id), ...updates.keys()]);
+            const staleIds = (await this.fetchAllProductIds()).filter(id => !savedIds.has(id));
+            const results = await Promise.allSettled(staleIds.map(id => this.repository.deleteProduct(id)));
+            const failedIds = new Set(staleIds.filter((id, index) => results[index].status === 'rejected'));
+            // Sản phẩm đang chờ server xác nhận chưa có trên server nên chưa xóa được
+            kept = kept.filter(product => failedIds.has(product.id) || this.isPending(product));
+            removed = staleIds.length - failedIds.size;
+            notRemoved = failedIds.size + kept.filter(product => this.isPending(product)).length;
+            // Catalog đã thay hẳn, không nối thêm trang từ server nữa
+            this.hasMore = false;
+        }
+        this.products = [...created, ...kept];
+        this.notifyChange();
+        return {
+            created: created.length,
+            updated: updates.size,
+            rejected: plan.filter(row => !row.product).length,
+            removed,
+            notRemoved,
+            failed
+        };
+    }
+
+    /**
+     * ID của mọi sản phẩm trên server, đọc hết các trang trước khi xóa để offset không bị lệch
+     * @returns {Promise<Array<number>>}
+     */
+    async fetchAllProductIds() {
+        const ids = [];
+        for (let offset = 0; ; offset += this.pageSize) {
+            const page = await this.repository.fetchProducts({ offset, limit: this.pageSize });
+            ids.push(...page.map(record => record?.id).filter(Number.isInteger));
+            if (page.length < this.pageSize) return ids;
+        }
+    }
+
+    /**
+     * ProductInput gửi cho repository từ Product đã qua schema
+     * @param {Product} product
+     * @returns {Object}
+     */
+    static toInput(product) {
+        return {
+            title: product.title,
+            slug: product.slug,
+            price: product.price,
+            description: product.description,
+            categoryId: product.category.id,
+            images: product.images
+        };
+    }
+
+    /**
+     * Sản phẩm vừa tạo, đang chờ server xác nhận
+     * @param {Product} product
+     * @returns {boolean}
+     */
+    isPending(product) {
+        return product.id < 0;
+    }
+
+    /**
+     * Raw record cho Product từ ProductInput, dùng cho bản hiển thị optimistic
+     * @param {Object} input - ProductInput có slug
+     * @param {Object} base - Các field giữ nguyên (id, ngày tạo...)
+     * @returns {Object}
+     */
+    buildRecord(input, base) {
+        const category = this.getAvailableCategories().find(item => item.id === input.categoryId);
+        return { ...base, ...input, category };
+    }
+
+    /**
+     * Đưa sản phẩm đã gỡ trở lại danh sách, bỏ qua nếu nó đã được tải lại trong lúc chờ
+     * @param {Product} product
+     * @param {number|undefined} followingId - Sản phẩm đứng ngay sau, không còn thì thêm vào cuối
+     */
+    restoreProduct(product, followingId) {
+        if (this.findById(product.id)) return;
+        const index = this.products.findIndex(item => item.id === followingId);
+        this.products = index === -1
+            ? [...this.products, product]
+            : [...this.products.slice(0, index), product, ...this.products.slice(index)];
+    }
+
+    /**
+     * @param {number} id
+     * @param {Product} product
+     */
+    replaceProduct(id, product) {
+        this.products = this.products.map(item => item.id === id ? product : item);
+    }
+
+    /**
+     * Lọc sản phẩm theo category
+     * @param {string} categorySlug 
+     * @returns {Array<Product>}
+     */
+    filterByCategory(categorySlug) {
+        return this.products.filter(
+            product => product.category.slug === categorySlug
+        );
+    }
+
+    /**
+     * Lấy danh sách categories unique
+     * @returns {Array<Category>}
+     */
+    getUniqueCategories() {
+        const categoryMap = new Map();
+        this.products.forEach(product => {
+            if (!categoryMap.has(product.category.id)) {
+                categoryMap.set(product.category.id, product.category);
+            }
+        });
+        return Array.from(categoryMap.values());
+    }
+
+    /**
+     * Tìm kiếm, lọc và sắp xếp các sản phẩm đã tải
+     * @param {ProductQuery} query
+     * @returns {Array<Product>}
+     */
+    queryProducts(query) {
+        const matched = this.products.filter(product =>
+            (!query.categorySlug || product.category.slug === query.categorySlug)
+            && (query.minPrice === null || product.price >= query.minPrice)
+            && (query.maxPrice === null || product.price <= query.maxPrice)
+            && (!query.searchText || TextSearch.matches([product.title, product.description], query.searchText))
+        );
+        return this.sortProducts(matched, query.sortBy);
+    }
+
+    /**
+     * @param {Array<Product>} products
+     * @param {string} sortBy - Một trong ProductQuery.SORT_OPTIONS
+     * @returns {Array<Product>} - Mảng mới, không sửa mảng đầu vào
+     */
+    sortProducts(products, sortBy) {
+        const comparators = {
+            'price-asc': (a, b) => a.price - b.price,
+            'price-desc': (a, b) => b.price - a.price,
+            newest: (a, b) => b.creationAt - a.creationAt,
+            title: (a, b) => a.title.localeCompare(b.title)
+        };
+        const comparator = comparators[sortBy];
+        return comparator ? [...products].sort(comparator) : [...products];
+    }
+}
+
+/**
+ * CartService - Nghiệp vụ giỏ hàng, state nằm trong Store (`state.cartLines`)
+ * Mỗi dòng lưu snapshot sản phẩm để hiển thị được trước khi catalog tải xong
+ */
+class CartService {
+    /**
+     * @param {Store} store
+     * @param {CartStorage} cartStorage
+     * @param {Function} [onSaveFailed] - Gọi khi không lưu được giỏ hàng xuống storage
+     */
+    constructor(store, cartStorage, onSaveFailed = () => {}) {
+        this.store = store;
+        this.cartStorage = cartStorage;
+        this.store.subscribe((state, previousState) => {
+            if (state.cartLines !== previousState.cartLines && !this.cartStorage.save(state.cartLines)) {
+                onSaveFailed();
+            }
+        });
+    }
+
+    /**
+     * Khôi phục giỏ hàng đã lưu
+     * @throws {Error} - Khi dữ liệu đã lưu bị hỏng
+     */
+    restore() {
+        this.setLines(this.cartStorage.load());
+    }
+
+    /**
+     * @returns {Array<Object>}
+     */
+    getLines() {
+        return this.store.getState().cartLines;
+    }
+
+    /**
+     * @param {Product} product
+     */
+    addProduct(product) {
+        const existing = this.getLines().find(line => line.productId === product.id);
+        if (existing) {
+            this.setQuantity(product.id, existing.quantity + 1);
+            return;
+        }
+        this.setLines(this.getLines().concat({
+            productId: product.id,
+            title: product.title,
+            image: product.getPrimaryImage(),
+            price: product.price,
+            previousPrice: null,
+            quantity: 1
+        }));
+    }
+
+    /**
+     * Số lượng nhỏ hơn 1 nghĩa là xóa dòng
+     * @param {number} productId
+     * @param {number} quantity
+     */
+    setQuantity(productId, quantity) {
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            this.removeLine(productId);
+            return;
+        }
+        this.updateLine(productId, { quantity });
+    }
+
+    /**
+     * @param {number} productId
+     */
+    removeLine(productId) {
+        this.setLines(this.getLines().filter(line => line.productId !== productId));
+    }
+
+    /**
+     * Người dùng đã xem thông báo đổi giá
+     * @param {number} productId
+     */
+    acknowledgePriceChange(productId) {
+        this.updateLine(productId, { previousPrice: null });
+    }
+
+    /**
+     * @returns {number}
+     */
+    getItemCount() {
+        return this.getLines().reduce((sum, line) => sum + line.quantity, 0);
+    }
+
+    /**
+     * @param {Object} line
+     * @returns {number}
+     */
+    getLineSubtotal(line) {
+        return line.price * line.quantity;
+    }
+
+    /**
+     * @returns {number}
+     */
+    getTotal() {
+        return this.getLines().reduce((sum, line) => sum + this.getLineSubtotal(line), 0);
+    }
+
+    /**
+     * Đối chiếu giỏ hàng với catalog hiện tại: bỏ sản phẩm đã bị xóa, đánh dấu sản phẩm đổi giá
+     * Sản phẩm không tra cứu được (lỗi mạng) giữ nguyên để không mất giỏ hàng
+     * @param {Function} findProduct - (productId) => Promise<Product|null>
+     * @returns {Promise<void>}
+     */
+    async reconcile(findProduct) {
+        const lines = this.getLines();
+        const results = await Promise.allSettled(lines.map(line => findProduct(line.productId)));
+        // productId -> Product|null, chỉ gồm các sản phẩm tra cứu thành công
+        const checkedProducts = new Map();
+        lines.forEach((line, index) => {
+            if (results[index].status === 'fulfilled') checkedProducts.set(line.productId, results[index].value);
+        });
+        // Giỏ hàng có thể đã đổi trong lúc chờ: gộp theo productId vào state hiện tại, giữ dòng mới thêm
+        this.setLines(this.getLines().flatMap(line => {
+            if (!checkedProducts.has(line.productId)) return [line];
+            const product = checkedProducts.get(line.productId);
+            return product ? [this.applyCurrentProduct(line, product)] : [];
+        }));
+    }
+
+    /**
+     * @param {Object} line
+     * @param {Product} product
+     * @returns {Object}
+     */
+    applyCurrentProduct(line, product) {
+        if (product.price === line.price) return line;
+        return {
+            ...line,
+            title: product.title,
+            price: product.price,
+            previousPrice: line.previousPrice ?? line.price
+        };
+    }
+
+    /**
+     * @param {number} productId
+     * @param {Object} changes
+     */
+    updateLine(productId, changes) {
+        this.setLines(this.getLines().map(
+            line => line.productId === productId ? { ...line, ...changes } : line
+        ));
+    }
+
+    /**
+     * @param {Array<Object>} lines
+     */
+    setLines(lines) {
+        this.store.setState({ cartLines: lines });
+    }
+}
+
+/**
+ * CompareService - Danh sách sản phẩm đang so sánh, state nằm trong Store (`state.compareItems`)
+ * Mỗi mục lưu tiêu đề và ảnh để tray hiển thị được cả sản phẩm chưa có trong trang đã tải
+ */
+class CompareService {
+    static MIN_ITEMS = 2;
+    static MAX_ITEMS = 4;
+    static FIELDS = Object.freeze(['image', 'price', 'category', 'description', 'creationAt', 'updatedAt']);
+
+    /**
+     * @param {Store} store
+     */
+    constructor(store) {
+        this.store = store;
+    }
+
+    /**
+     * @returns {Array<{ productId: number, title: string, image: string }>}
+     */
+    getItems() {
+        return this.store.getState().compareItems;
+    }
+
+    /**
+     * @returns {Array<number>}
+     */
+    getProductIds() {
+        return this.getItems().map(item => item.productId);
+    }
+
+    /**
+     * @param {number} productId
+     * @returns {boolean}
+     */
+    isSelected(productId) {
+        return this.getItems().some(item => item.productId === productId);
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isFull() {
+        return this.getItems().length >= CompareService.MAX_ITEMS;
+    }
+
+    /**
+     * @param {Product} product
+     * @returns {boolean} - false khi danh sách đã đủ MAX_ITEMS
+     */
+    add(product) {
+        if (this.isSelected(product.id)) return true;
+        if (this.isFull()) return false;
+        this.setItems(this.getItems().concat(this.createItem(product)));
+        return true;
+    }
+
+    /**
+     * @param {number} productId
+     */
+    remove(productId) {
+        this.setItems(this.getItems().filter(item => item.productId !== productId));
+    }
+
+    clear() {
+        this.setItems([]);
+    }
+
+    /**
+     * Thay toàn bộ danh sách, vd. khi mở link so sánh được chia sẻ
+     * @param {Array<Product>} products
+     */
+    setProducts(products) {
+        this.setItems(products.slice(0, CompareService.MAX_ITEMS).map(product => this.createItem(product)));
+    }
+
+    /**
+     * @param {Product} product
+     * @returns {Object}
+     */
+    createItem(product) {
+        return { productId: product.id, title: product.title, image: product.getPrimaryImage() };
+    }
+
+    /**
+     * @param {Array<Object>} items
+     */
+    setItems(items) {
+        this.store.setState({ compareItems: items });
+    }
+
+    /**
+     * Danh sách ID trong URL (vd. '3,12,40'), bỏ giá trị không hợp lệ và trùng lặp
+     * @param {string} value
+     * @returns {Array<number>}
+     */
+    static parseIds(value) {
+        const ids = value.split(',').filter(part => /^-?\d+$/.test(part.trim())).map(Number);
+        return [...new Set(ids)].slice(0, CompareService.MAX_ITEMS);
+    }
+
+    /**
+     * @param {Array} items - Sản phẩm hoặc ID
+     * @returns {boolean} - Đủ MIN_ITEMS để so sánh
+     */
+    static canCompare(items) {
+        return items.length >= CompareService.MIN_ITEMS;
+    }
+
+    /**
+     * Field nào khác nhau giữa các sản phẩm, sản phẩm rẻ nhất và mới nhất
+     * Chỉ đánh dấu rẻ nhất/mới nhất khi giá/ngày tạo thực sự khác nhau
+     * @param {Array<Product>} products
+     * @returns {{ products: Array<Product>, differences: Object<string, boolean>, cheapestIds: Set<number>, newestIds: Set<number> }}
+     */
+    compare(products) {
+        const differences = Object.fromEntries(CompareService.FIELDS.map(field => [
+            field,
+            new Set(products.map(product => this.getComparableValue(product, field))).size > 1
+        ]));
+        return {
+            products,
+            differences,
+            cheapestIds: differences.price
+                ? this.findBestIds(products, product => -product.price)
+                : new Set(),
+            newestIds: differences.creationAt
+                ? this.findBestIds(products, product => product.creationAt.getTime())
+                : new Set()
+        };
+    }
+
+    /**
+     * @param {Product} product
+     * @param {string} field - Một trong CompareService.FIELDS
+     * @returns {*}
+     */
+    getComparableValue(product, field) {
+        switch (field) {
+            case 'image': return product.getPrimaryImage();
+            case 'category': return product.category.id;
+            case 'description': return product.description || '';
+            case 'creationAt':
+            case 'updatedAt': return product[field].getTime();
+            default: return product[field];
+        }
+    }
+
+    /**
+     * @param {Array<Product>} products
+     * @param {Function} getScore - Điểm càng cao càng tốt, NaN (ngày không hợp lệ) bị bỏ qua
+     * @returns {Set<number>} - ID các sản phẩm đồng hạng nhất
+     */
+    findBestIds(products, getScore) {
+        const scored = products
+            .map(product => ({ id: product.id, score: getScore(product) }))
+            .filter(({ score }) => !Number.isNaN(score));
+        const best = Math.max(...scored.map(({ score }) => score));
+        return new Set(scored.filter(({ score }) => score === best).map(({ id }) => id));
+    }
+}
+
+/**
+ * CatalogAnalytics - Số liệu tổng quan catalog theo danh mục, tính trên các sản phẩm khớp query đang áp dụng
+ * Mọi danh mục dùng chung khoảng giá và dải ngày để biểu đồ so sánh được với nhau
+ */
+class CatalogAnalytics {
+    static PRICE_BAND_COUNT = 5;
+    static DAY_COUNT = 30;
+    static RECENT_UPDATE_LIMIT = 5;
+
+    /**
+     * @param {ProductService} productService
+     */
+    constructor(productService) {
+        this.productService = productService;
+    }
+
+    /**
+     * @param {ProductQuery} query - Điều kiện tìm kiếm/lọc đang áp dụng trên catalog
+     * @returns {{ overall: Object, categories: Array<Object>, priceBands: Array<{ min: number, max: number }>, days: Array<Date> }}
+     */
+    analyze(query) {
+        const products = this.productService.queryProducts(query);
+        const priceBands = this.createPriceBands(products.map(product => product.price));
+        const days = this.createDays(products);
+        const categories = this.productService.getUniqueCategories()
+            .map(category => this.summarize(
+                products.filter(product => product.category.id === category.id),
+                { category, priceBands, days }
+            ))
+            .filter(summary => summary.count > 0);
+        return {
+            overall: this.summarize(products, { category: null, priceBands, days }),
+            categories,
+            priceBands,
+            days
+        };
+    }
+
+    /**
+     * @param {Array<Product>} products - Sản phẩm của một danh mục (hoặc tất cả)
+     * @param {Object} scope
+     * @param {Category|null} scope.category - null cho dòng tổng
+     * @param {Array<{ min: number, max: number }>} scope.priceBands
+     * @param {Array<Date>} scope.days
+     * @returns {Object}
+     */
+    summarize(products, { category, priceBands, days }) {
+        const prices = products.map(product => product.price);
+        return {
+            category,
+            count: products.length,
+            minPrice: prices.length > 0 ? prices.reduce((min, price) => Math.min(min, price)) : null,
+            maxPrice: prices.length > 0 ? prices.reduce((max, price) => Math.max(max, price)) : null,
+            meanPrice: prices.length > 0 ? prices.reduce((sum, price) => sum + price, 0) / prices.length : null,
+            medianPrice: CatalogAnalytics.median(prices),
+            priceBandCounts: this.countByPriceBand(prices, priceBands),
+            createdPerDay: this.countByDay(products, days),
+            recentlyUpdated: products
+                .filter(product => CatalogAnalytics.isValidDate(product.updatedAt))
+                .sort((a, b) => b.updatedAt - a.updatedAt)
+                .slice(0, CatalogAnalytics.RECENT_UPDATE_LIMIT)
+        };
+    }
+
+    /**
+     * Chia khoảng [giá thấp nhất, giá cao nhất] thành các dải rộng bằng nhau
+     * @param {Array<number>} prices
+     * @returns {Array<{ min: number, max: number }>}
+     */
+    createPriceBands(prices) {
+        if (prices.length === 0) return [];
+        const min = prices.reduce((low, price) => Math.min(low, price));
+        const max = prices.reduce((high, price) => Math.max(high, price));
+        if (min === max) return [{ min, max }];
+        const width = (max - min) / CatalogAnalytics.PRICE_BAND_COUNT;
+        return Array.from({ length: CatalogAnalytics.PRICE_BAND_COUNT }, (_, index) => ({
+            min: min + width * index,
+            max: index === CatalogAnalytics.PRICE_BAND_COUNT - 1 ? max : min + width * (index + 1)
+        }));
+    }
+
+    /**
+     * Giá bằng cận trên thuộc dải kế tiếp, riêng giá cao nhất thuộc dải cuối
+     * @param {Array<number>} prices
+     * @param {Array<{ min: number, max: number }>} priceBands
+     * @returns {Array<number>}
+     */
+    countByPriceBand(prices, priceBands) {
+        const counts = priceBands.map(() => 0);
+        prices.forEach(price => {
+            const index = priceBands.findIndex((band, bandIndex) =>
+                price >= band.min && (price < band.max || bandIndex === priceBands.length - 1)
+            );
+            if (index !== -1) counts[index]++;
+        });
+        return counts;
+    }
+
+    /**
+     * DAY_COUNT ngày liên tiếp, kết thúc ở ngày có sản phẩm được tạo gần nhất
+     * @param {Array<Product>} products
+     * @returns {Array<Date>} - Nửa đêm (giờ địa phương) của từng ngày
+     */
+    createDays(products) {
+        const latest = products
+            .map(product => product.creationAt)
+            .filter(CatalogAnalytics.isValidDate)
+            .reduce((max, date) => (max === null || date > max ? date : max), null);
+        if (!latest) return [];
+        return Array.from({ length: CatalogAnalytics.DAY_COUNT }, (_, index) => new Date(
+            latest.getFullYear(),
+            latest.getMonth(),
+            latest.getDate() - (CatalogAnalytics.DAY_COUNT - 1 - index)
+        ));
+    }
+
+    /**
+     * @param {Array<Product>} products
+     * @param {Array<Date>} days
+     * @returns {Array<number>} - Số sản phẩm tạo trong từng ngày của `days`
+     */
+    countByDay(products, days) {
+        const countsByDay = new Map();
+        products
+            .filter(product => CatalogAnalytics.isValidDate(product.creationAt))
+            .forEach(product => {
+                const key = CatalogAnalytics.getDayKey(product.creationAt);
+                countsByDay.set(key, (countsByDay.get(key) || 0) + 1);
+            });
+        return days.map(day => countsByDay.get(CatalogAnalytics.getDayKey(day)) || 0);
+    }
+
+    /**
+     * @param {Date} date
+     * @returns {string} - Ngày theo giờ địa phương, vd. '2026-10-18'
+     */
+    static getDayKey(date) {
+        return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+            .map(part => String(part).padStart(2, '0'))
+            .join('-');
+    }
+
+    /**
+     * @param {Date} date
+     * @returns {boolean}
+     */
+    static isValidDate(date) {
+        return date instanceof Date && !Number.isNaN(date.getTime());
+    }
+
+    /**
+     * @param {Array<number>} values
+     * @returns {number|null} - null khi không có giá trị nào
+     */
+    static median(values) {
+        if (values.length === 0) return null;
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+    }
+}
+
+/**
+ * DataQualityAnalyzer - Báo cáo chất lượng dữ liệu: bản ghi bị loại và sản phẩm đáng ngờ
+ * (slug trùng/trống, giá lệch hẳn so với danh mục, tiêu đề gõ bừa hoặc dữ liệu test)
+ */
+class DataQualityAnalyzer {
+    // Giá gấp (hoặc bằng 1/x) trung vị danh mục từng này lần thì coi là bất thường
+    static PRICE_OUTLIER_FACTOR = 10;
+    static MIN_PRODUCTS_FOR_OUTLIER = 4;
+    static MIN_TITLE_LETTERS = 3;
+    static PLACEHOLDER_TITLE_PATTERN = /^(test\b.*|new product|title\s*\d*|lorem.*|untitled|product\s*\d*)$/i;
+    static DIGIT_RUN_PATTERN = /\d{6,}/;
+
+    /**
+     * @param {Array<Product>} products
+     * @param {Array<{ kind: string, record: Object, errors: Array<Object> }>} quarantine
+     * @returns {{ rejected: Array<Object>, issues: Array<Object> }}
+     */
+    analyze(products, quarantine) {
+        return {
+            rejected: quarantine.map(({ kind, record, errors }) => {
+                const title = kind === 'category' ? record?.name : record?.title;
+                return {
+                    kind,
+                    id: record && record.id,
+                    title: typeof title === 'string' ? title : '',
+                    reasons: errors
+                };
+            }),
+            issues: [
+                ...this.findSlugIssues(products),
+                ...this.findPriceOutliers(products),
+                ...this.findSuspiciousTitles(products)
+            ]
+        };
+    }
+
+    /**
+     * @param {Array<Product>} products
+     * @returns {Array<Object>}
+     */
+    findSlugIssues(products) {
+        const productsBySlug = new Map();
+        const issues = [];
+        products.forEach(product => {
+            if (!product.slug) {
+                issues.push(this.createIssue(product, 'empty-slug', I18n.t('quality.emptySlug')));
+                return;
+            }
+            productsBySlug.set(product.slug, (productsBySlug.get(product.slug) || []).concat(product));
+        });
+        productsBySlug.forEach((sameSlug, slug) => {
+            if (sameSlug.length < 2) return;
+            sameSlug.forEach(product => issues.push(this.createIssue(
+                product,
+                'duplicate-slug',
+                I18n.t('quality.duplicateSlug', {
+                    slug,
+                    ids: sameSlug.filter(other => other !== product).map(other => other.id).join(', ')
+                })
+            )));
+        });
+        return issues;
+    }
+
+    /**
+     * So với trung vị giá của danh mục, vd. "Iphone" 80000 trong Clothes
+     * @param {Array<Product>} products
+     * @returns {Array<Object>}
+     */
+    findPriceOutliers(products) {
+        const productsByCategory = new Map();
+        products.forEach(product => {
+            const key = product.category.id;
+            productsByCategory.set(key, (productsByCategory.get(key) || []).concat(product));
+        });
+        const issues = [];
+        productsByCategory.forEach(categoryProducts => {
+            if (categoryProducts.length < DataQualityAnalyzer.MIN_PRODUCTS_FOR_OUTLIER) return;
+            const median = CatalogAnalytics.median(categoryProducts.map(product => product.price));
+            categoryProducts
+                .filter(product => this.isPriceOutlier(product.price, median))
+                .forEach(product => issues.push(this.createIssue(
+                    product,
+                    'price-outlier',
+                    I18n.t('quality.priceOutlier', {
+                        price: product.getFormattedPrice(),
+                        median: PriceFormatter.format(median),
+                        category: product.category.getDisplayName()
+                    })
+                )));
+        });
+        return issues;
+    }
+
+    /**
+     * @param {number} price
+     * @param {number} median
+     * @returns {boolean}
+     */
+    isPriceOutlier(price, median) {
+        if (median <= 0) return false;
+        const factor = DataQualityAnalyzer.PRICE_OUTLIER_FACTOR;
+        return price > median * factor || price < median / factor;
+    }
+
+    /**
+     * @param {Array<Product>} products
+     * @returns {Array<Object>}
+     */
+    findSuspiciousTitles(products) {
+        return products
+            .map(product => ({ product, reason: this.getSuspiciousTitleReason(product.title) }))
+            .filter(({ reason }) => reason)
+            .map(({ product, reason }) => this.createIssue(product, 'suspicious-title', reason));
+    }
+
+    /**
+     * Heuristic cho tiêu đề gõ bừa/dữ liệu test: "88", "y", "nmtnfgb", "user_1769533275149mm"
+     * @param {string} title
+     * @returns {string|null}
+     */
+    getSuspiciousTitleReason(title) {
+        const letterCount = (title.match(/\p{L}/gu) || []).length;
+        if (letterCount < DataQualityAnalyzer.MIN_TITLE_LETTERS) return I18n.t('quality.titleTooShort');
+        if (DataQualityAnalyzer.PLACEHOLDER_TITLE_PATTERN.test(title.trim())) return I18n.t('quality.titlePlaceholder');
+        if (DataQualityAnalyzer.DIGIT_RUN_PATTERN.test(title)) return I18n.t('quality.titleDigits');
+        const words = TextSearch.normalize(title).split(/[^a-z]+/);
+        if (words.some(word => word.length >= 5 && !/[aeiouy]/.test(word))) return I18n.t('quality.titleGibberish');
+        return null;
+    }
+
+    /**
+     * @param {Product} product
+     * @param {string} type
+     * @param {string} message
+     * @returns {Object}
+     */
+    createIssue(product, type, message) {
+        return { productId: product.id, title: product.title, type, message };
+    }
+}
+
+/**
+ * CsvFormat - Đọc/ghi CSV theo RFC 4180 (ô có dấu phẩy, nháy kép, xuống dòng được bọc trong "")
+ */
+class CsvFormat {
+    static FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+    /**
+     * @param {string} text
+     * @returns {Array<Array<string>>} - Các dòng, bỏ dòng trống
+     */
+    static parse(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+        const source = text.replace(/^\uFEFF/, '');
+
+        for (let index = 0; index < source.length; index++) {
+            const char = source[index];
+            if (inQuotes) {
+                if (char === '"' && source[index + 1] === '"') {
+                    cell += '"';
+                    index++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[index + 1] === '\n') index++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        row.push(cell);
+        rows.push(row);
+        return rows
+            .filter(cells => cells.some(value => value.trim() !== ''))
+            .map(cells => cells.map(CsvFormat.unescapeFormula));
+    }
+
+    /**
+     * Bỏ dấu ' mà formatCell đã thêm, để file xuất ra nhập lại được nguyên giá trị
+     * @param {string} value
+     * @returns {string}
+     */
+    static unescapeFormula(value) {
+        return value.startsWith("'") && CsvFormat.FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value;
+    }
+
+    /**
+     * @param {Array<Array<*>>} rows
+     * @returns {string}
+     */
+    static stringify(rows) {
+        return rows.map(cells => cells.map(CsvFormat.formatCell).join(',')).join('\r\n');
+    }
+
+    /**
+     * Chuỗi bắt đầu bằng ký tự công thức được thêm dấu ' để Excel/Sheets không chạy nó (CSV injection)
+     * @param {*} value
+     * @returns {string}
+     */
+    static formatCell(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (typeof value === 'string' && CsvFormat.FORMULA_PREFIX.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+/**
+ * CatalogExporter - Xuất danh sách sản phẩm ra JSON (cùng dạng dữ liệu API) hoặc CSV phẳng
+ */
+class CatalogExporter {
+    // Cột CSV, category lồng được làm phẳng thành `category.<field>`
+    static COLUMNS = Object.freeze([
+        'id', 'title', 'slug', 'price', 'description', 'images',
+        'category.id', 'category.name', 'category.slug', 'category.image', 'category.creationAt', 'category.updatedAt',
+        'creationAt', 'updatedAt'
+    ]);
+
+    // Các URL ảnh trong một ô CSV
+    static IMAGE_SEPARATOR = '|';
+
+    /**
+     * @param {Array<Product>} products
+     * @returns {string}
+     */
+    static toJson(products) {
+        return JSON.stringify(products.map(product => CatalogExporter.toRecord(product)), null, 2);
+    }
+
+    /**
+     * BOM ở đầu để Excel đọc đúng UTF-8 (tiêu đề tiếng Việt)
+     * @param {Array<Product>} products
+     * @returns {string}
+     */
+    static toCsv(products) {
+        const rows = products.map(product => {
+            const record = CatalogExporter.toRecord(product);
+            return CatalogExporter.COLUMNS.map(column => column === 'images'
+                ? record.images.join(CatalogExporter.IMAGE_SEPARATOR)
+                : CatalogExporter.getPath(record, column));
+        });
+        return '\uFEFF' + CsvFormat.stringify([CatalogExporter.COLUMNS, ...rows]);
+    }
+
+    /**
+     * Bản ghi thô cùng dạng với dữ liệu API/PRODUCT_DATA
+     * @param {Product} product
+     * @returns {Object}
+     */
+    static toRecord(product) {
+        return {
+            id: product.id,
+            title: product.title,
+            slug: product.slug,
+            price: product.price,
+            description: product.description,
+            category: CatalogExporter.toCategoryRecord(product.category),
+            images: product.images,
+            creationAt: CatalogExporter.toIsoString(product.creationAt),
+            updatedAt: CatalogExporter.toIsoString(product.updatedAt)
+        };
+    }
+
+    /**
+     * @param {Category} category
+     * @returns {Object}
+     */
+    static toCategoryRecord(category) {
+        return {
+            id: category.id,
+            name: category.name,
+            slug: category.slug,
+            image: category.image,
+            creationAt: CatalogExporter.toIsoString(category.creationAt),
+            updatedAt: CatalogExporter.toIsoString(category.updatedAt)
+        };
+    }
+
+    /**
+     * @param {Date} date
+     * @returns {string} - Rỗng nếu ngày không hợp lệ
+     */
+    static toIsoString(date) {
+        return Number.isNaN(date.getTime()) ? '' : date.toISOString();
+    }
+
+    /**
+     * @param {Object} record
+     * @param {string} path - Dạng `category.name`
+     * @returns {*}
+     */
+    static getPath(record, path) {
+        return path.split('.').reduce((value, key) => value?.[key], record);
+    }
+}
+
+/**
+ * CatalogImporter - Đọc file CSV/JSON thành các dòng phẳng, gợi ý ánh xạ cột
+ * và dựng lại bản ghi thô (category lồng) để ProductService.planImport kiểm tra
+ */
+class CatalogImporter {
+    // Field đích của bước ánh xạ cột, trùng với cột xuất CSV để xuất rồi nhập lại được ngay
+    static FIELDS = CatalogExporter.COLUMNS;
+
+    /**
+     * @param {string} text - Nội dung file
+     * @param {string} fileName - Đuôi .json thì đọc JSON, còn lại đọc CSV
+     * @returns {{ columns: Array<string>, rows: Array<Object> }}
+     * @throws {Error} - Khi file không đọc được hoặc không có dòng dữ liệu nào
+     */
+    static parse(text, fileName) {
+        const { columns, rows } = /\.json$/i.test(fileName)
+            ? CatalogImporter.parseJson(text)
+            : CatalogImporter.parseCsv(text);
+        if (rows.length === 0) {
+            throw new Error(I18n.t('import.emptyFile'));
+        }
+        return { columns, rows };
+    }
+
+    /**
+     * @param {string} text
+     * @returns {{ columns: Array<string>, rows: Array<Object> }}
+     */
+    static parseJson(text) {
+        let records;
+        try {
+            records = JSON.parse(text);
+        } catch (error) {
+            throw new Error(I18n.t('import.invalidJson', { reason: error.message }));
+        }
+        if (!Array.isArray(records)) {
+            throw new Error(I18n.t('import.notArray'));
+        }
+        const rows = records.map(record => CatalogImporter.flatten(record));
+        const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+        return { columns, rows };
+    }
+
+    /**
+     * Dòng đầu là tên cột
+     * @param {string} text
+     * @returns {{ columns: Array<string>, rows: Array<Object> }}
+     */
+    static parseCsv(text) {
+        const [header = [], ...lines] = CsvFormat.parse(text);
+        const columns = header.map(column => column.trim());
+        const rows = lines.map(cells => Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? ''])));
+        return { columns, rows };
+    }
+
+    /**
+     * Làm phẳng object lồng thành khóa `a.b`, giữ nguyên mảng
+     * @param {*} record
+     * @param {string} [prefix]
+     * @returns {Object}
+     */
+    static flatten(record, prefix = '') {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            return prefix ? { [prefix]: record } : {};
+        }
+        return Object.entries(record).reduce((flat, [key, value]) => {
+            const path = prefix ? `${prefix}.${key}` : key;
+            return value && typeof value === 'object' && !Array.isArray(value)
+                ? { ...flat, ...CatalogImporter.flatten(value, path) }
+                : { ...flat, [path]: value };
+        }, {});
+    }
+
+    /**
+     * Ghép field với cột cùng tên, bỏ qua hoa/thường, dấu cách, `_`, `-` và `.`
+     * @param {Array<string>} columns
+     * @returns {Object<string, string>} - field -> cột nguồn
+     */
+    static suggestMapping(columns) {
+        const normalize = name => name.toLowerCase().replace(/[\s_.-]/g, '');
+        return Object.fromEntries(CatalogImporter.FIELDS
+            .map(field => [field, columns.find(column => normalize(column) === normalize(field))])
+            .filter(([, column]) => column !== undefined));
+    }
+
+    /**
+     * Dựng bản ghi thô theo ánh xạ cột. Category chỉ có id/slug thì lấy phần còn lại từ danh mục đã biết.
+     * @param {Array<Object>} rows
+     * @param {Object<string, string>} mapping - field -> cột nguồn
+     * @param {Array<Category>} categories
+     * @returns {Array<Object>}
+     */
+    static buildRecords(rows, mapping, categories) {
+        return rows.map(row => {
+            const record = { category: {} };
+            CatalogImporter.FIELDS.forEach(field => {
+                const value = mapping[field] ? row[mapping[field]] : undefined;
+                if (value === undefined || value === null || value === '') return;
+                const [key, nestedKey] = field.split('.');
+                if (nestedKey) {
+                    record[key][nestedKey] = value;
+                } else {
+                    record[key] = value;
+                }
+            });
+            if (typeof record.images === 'string') record.images = CatalogImporter.splitImages(record.images);
+            record.category = CatalogImporter.resolveCategory(record.category, categories);
+            return record;
+        });
+    }
+
+    /**
+     * @param {string} value - Các URL nối bằng IMAGE_SEPARATOR/xuống dòng, hoặc mảng JSON
+     * @returns {Array<string>}
+     */
+    static splitImages(value) {
+        if (value.trim().startsWith('[')) {
+            try {
+                return JSON.parse(value);
+            } catch {
+                // Không phải JSON thì tách như chuỗi thường
+            }
+        }
+        return value.split(new RegExp(`[\\n${CatalogExporter.IMAGE_SEPARATOR}]`)).map(url => url.trim()).filter(Boolean);
+    }
+
+    /**
+     * @param {Object} category - Các field category lấy từ file
+     * @param {Array<Category>} categories
+     * @returns {Object}
+     */
+    static resolveCategory(category, categories) {
+        const known = categories.find(item =>
+            (category.id !== undefined && String(item.id) === String(category.id).trim()) ||
+            (category.slug && item.slug === String(category.slug).trim()));
+        return known ? { ...CatalogExporter.toCategoryRecord(known), ...category } : category;
+    }
+}
+
+/**
+ * BrokenImageService - Ghi nhận URL ảnh không tải được của từng sản phẩm để admin sửa
+ * Chỉ dùng cho báo cáo, không dùng để ẩn ảnh: lỗi có thể chỉ là tạm thời (mất mạng, host ảnh chập chờn).
+ * Ghi nhận cũ hơn maxAgeMs tự hết hạn.
+ */
+class BrokenImageService {
+    /**
+     * @param {BrokenImageStorage} storage
+     * @param {Object} options
+     * @param {number} options.maxAgeMs - Thời gian giữ một ghi nhận
+     * @param {Function} options.isOnline - () => boolean, offline thì ảnh nào cũng lỗi nên không ghi nhận
+     * @param {Function} [options.now] - () => timestamp (ms)
+     */
+    constructor(storage, { maxAgeMs, isOnline, now = () => Date.now() }) {
+        this.storage = storage;
+        this.maxAgeMs = maxAgeMs;
+        this.isOnline = isOnline;
+        this.now = now;
+        // productId -> Map<url, thời điểm ghi nhận (ms)>
+        this.brokenUrls = new Map();
+    }
+
+    /**
+     * Bỏ các ghi nhận đã hết hạn
+     * @throws {Error} - Khi dữ liệu đã lưu bị hỏng
+     */
+    restore() {
+        const saved = this.storage.load();
+        this.brokenUrls = new Map();
+        Object.entries(saved).forEach(([productId, entries]) => {
+            const fresh = Object.entries(entries || {}).filter(([, recordedAt]) => !this.isExpired(recordedAt));
+            if (fresh.length > 0) this.brokenUrls.set(Number(productId), new Map(fresh));
+        });
+        this.save();
+    }
+
+    /**
+     * @param {number} productId
+     * @param {string} url
+     */
+    record(productId, url) {
+        if (!this.isOnline() || this.isBroken(productId, url)) return;
+        const urls = this.brokenUrls.get(productId) || new Map();
+        this.brokenUrls.set(productId, urls.set(url, this.now()));
+        this.save();
+    }
+
+    /**
+     * @param {number} productId
+     * @param {string} url
+     * @returns {boolean}
+     */
+    isBroken(productId, url) {
+        const recordedAt = this.brokenUrls.get(productId)?.get(url);
+        return recordedAt !== undefined && !this.isExpired(recordedAt);
+    }
+
+    /**
+     * @param {*} recordedAt
+     * @returns {boolean}
+     */
+    isExpired(recordedAt) {
+        return typeof recordedAt !== 'number' || this.now() - recordedAt > this.maxAgeMs;
+    }
+
+    /**
+     * Sản phẩm còn chứa URL ảnh lỗi, kèm các URL đó
+     * @param {Array<Product>} products
+     * @returns {Array<{product: Product, urls: Array<string>}>}
+     */
+    getReport(products) {
+        return products
+            .map(product => ({ product, urls: product.images.filter(url => this.isBroken(product.id, url)) }))
+            .filter(entry => entry.urls.length > 0);
+    }
+
+    /**
+     * Bỏ các URL sản phẩm không còn dùng (sau khi admin sửa danh sách ảnh)
+     * @param {Product} product
+     */
+    prune(product) {
+        const urls = this.brokenUrls.get(product.id);
+        if (!urls) return;
+        const remaining = [...urls].filter(([url]) => product.images.includes(url));
+        if (remaining.length === urls.size) return;
+        this.setUrls(product.id, remaining);
+    }
+
+    /**
+     * Xóa ghi nhận của sản phẩm (vd. host ảnh đã hoạt động trở lại)
+     * @param {number} productId
+     */
+    forget(productId) {
+        if (this.brokenUrls.has(productId)) this.setUrls(productId, []);
+    }
+
+    /**
+     * @param {number} productId
+     * @param {Array<Array>} urls - Các cặp [url, thời điểm ghi nhận]
+     */
+    setUrls(productId, urls) {
+        if (urls.length === 0) {
+            this.brokenUrls.delete(productId);
+        } else {
+            this.brokenUrls.set(productId, new Map(urls));
+        }
+        this.save();
+    }
+
+    save() {
+        this.storage.save(Object.fromEntries(
+            Array.from(this.brokenUrls, ([productId, urls]) => [productId, Object.fromEntries(urls)])
+        ));
+    }
+}
+
+// ========== ROUTER ==========
+
+/**
+ * RoutePaths - Nơi duy nhất tạo đường dẫn, tránh ghép chuỗi route rải rác trong UI
+ */
+class RoutePaths {
+    static home() {
+        return '#/';
+    }
+
+    /**
+     * @param {string} slug
+     * @returns {string}
+     */
+    static category(slug) {
+        return `#/category/${encodeURIComponent(slug)}`;
+    }
+
+    /**
+     * Sản phẩm không có slug (vd. id 233) dùng route theo ID
+     * @param {Product} product
+     * @returns {string}
+     */
+    static product(product) {
+        return product.slug
+            ? `#/product/${encodeURIComponent(product.slug)}`
+            : `#/product/id/${product.id}`;
+    }
+
+    /**
+     * Link chia sẻ được của bảng so sánh
+     * @param {Array<number>} productIds
+     * @returns {string}
+     */
+    static compare(productIds) {
+        return `#/compare/${productIds.join(',')}`;
+    }
+
+    static admin() {
+        return '#/admin';
+    }
+
+    static adminQualityReport() {
+        return '#/admin/quality';
+    }
+
+    static adminBrokenImages() {
+        return '#/admin/images';
+    }
+
+    static adminImport() {
+        return '#/admin/import';
+    }
+
+    static adminNewProduct() {
+        return '#/admin/new';
+    }
+
+    /**
+     * @param {number} id
+     * @returns {string}
+     */
+    static adminEditProduct(id) {
+        return `#/admin/edit/${id}`;
+    }
+}
+
+/**
+ * Router - Hash router, hỗ trợ deep link và back/forward qua `hashchange`
+ * Route dạng '/product/:slug', param được decode trước khi gọi handler
+ */
+class Router {
+    constructor() {
+        this.routes = [];
+        this.notFoundHandler = () => {};
+        this.started = false;
+    }
+
+    /**
+     * @param {string} pattern
+     * @param {Function} handler - Nhận object params
+     * @returns {Router}
+     */
+    addRoute(pattern, handler) {
+        const paramNames = [];
+        const regexSource = pattern.replace(/:(\w+)/g, (_, name) => {
+            paramNames.push(name);
+            return '([^/]+)';
+        });
+        this.routes.push({ regex: new RegExp(`^${regexSource}/?$`), paramNames, handler });
+        return this;
+    }
+
+    /**
+     * @param {Function} handler - Nhận path không khớp route nào
+     * @returns {Router}
+     */
+    setNotFound(handler) {
+        this.notFoundHandler = handler;
+        return this;
+    }
+
+    /**
+     * Gọi lại được (vd. khi init chạy lại) mà không đăng ký trùng listener
+     * @returns {Promise<void>}
+     */
+    start() {
+        if (!this.started) {
+            window.addEventListener('hashchange', () => this.resolve());
+            this.started = true;
+        }
+        return this.resolve();
+    }
+
+    /**
+     * Render lại route hiện tại (vd. sau khi đổi ngôn ngữ), bỏ qua nếu router chưa chạy
+     * @returns {Promise<void>}
+     */
+    refresh() {
+        return this.started ? this.resolve() : Promise.resolve();
+    }
+
+    /**
+     * @param {string} href - Ví dụ: RoutePaths.admin()
+     */
+    navigate(href) {
+        window.location.hash = href;
+    }
+
+    /**
+     * Sửa URL hiện tại mà không thêm mục lịch sử và không chạy lại route
+     * @param {string} href
+     */
+    replace(href) {
+        window.history.replaceState(window.history.state, '', href);
+    }
+
+    /**
+     * @returns {string}
+     */
+    getCurrentPath() {
+        return window.location.hash.replace(/^#/, '') || '/';
+    }
+
+    /**
+     * Gọi handler của route khớp với hash hiện tại
+     * @returns {Promise<void>}
+     */
+    async resolve() {
+        const path = this.getCurrentPath();
+        for (const route of this.routes) {
+            const match = path.match(route.regex);
+            if (match) {
+                const params = this.decodeParams(route.paramNames, match);
+                return params ? route.handler(params) : this.notFoundHandler(path);
+            }
+        }
+        return this.notFoundHandler(path);
+    }
+
+    /**
+     * @param {Array<string>} paramNames
+     * @param {Array<string>} match - Kết quả RegExp match của path
+     * @returns {Object|null} - null khi param bị mã hóa sai (vd. '%E0'), coi như không tìm thấy
+     */
+    decodeParams(paramNames, match) {
+        try {
+            return Object.fromEntries(paramNames.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+        } catch (error) {
+            if (error instanceof URIError) return null;
+            throw error;
+        }
+    }
+}
+
+// ========== UI HELPERS ==========
+
+/**
+ * HtmlUtils - Helper dùng chung cho các renderer
+ */
+class HtmlUtils {
+    /**
+     * Escape HTML để tránh XSS
+     * @param {string} str 
+     * @returns {string}
+     */
+    static escape(str) {
+        if (!str) return '';
+        const div = document.createElement('div');
+        div.textContent = String(str);
+        // innerHTML không escape dấu nháy nên phải tự thay để dùng được trong attribute
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Format ngày giờ, trả về '—' nếu dữ liệu ngày không hợp lệ
+     * @param {Date} date
+     * @returns {string}
+     */
+    static formatDate(date) {
+        if (!(date instanceof Date) || Number.isNaN(date.getTime())) return '—';
+        return new Intl.DateTimeFormat(I18n.getIntlLocale(), { dateStyle: 'medium', timeStyle: 'short' }).format(date);
+    }
+
+    /**
+     * Format ngày, không kèm giờ
+     * @param {Date} date
+     * @returns {string}
+     */
+    static formatDay(date) {
+        if (!(date instanceof Date) || Number.isNaN(date.getTime())) return '—';
+        return new Intl.DateTimeFormat(I18n.getIntlLocale(), { dateStyle: 'medium' }).format(date);
+    }
+}
+
+/**
+ * UiActions - Event delegation cho các nút có `data-action`
+ * Dùng chung cho mọi view nên không cần gắn listener lại sau mỗi lần render
+ */
+class UiActions {
+    /**
+     * @param {HTMLElement} root
+     */
+    constructor(root) {
+        this.handlers = new Map();
+        root.addEventListener('click', event => {
+            const element = event.target.closest('[data-action]');
+            const handler = element && this.handlers.get(element.dataset.action);
+            if (handler) {
+                event.preventDefault();
+                handler(element.dataset, element);
+            }
+        });
+    }
+
+    /**
+     * @param {string} action
+     * @param {Function} handler - Nhận (dataset, element)
+     * @returns {UiActions}
+     */
+    on(action, handler) {
+        this.handlers.set(action, handler);
+        return this;
+    }
+}
+
+/**
+ * FileDownloader - Tải nội dung tạo trên client xuống thành file
+ */
+class FileDownloader {
+    /**
+     * @param {string} fileName
+     * @param {string} content
+     * @param {string} mimeType
+     */
+    static download(fileName, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.append(link);
+        link.click();
+        link.remove();
+        // Thu hồi sau khi trình duyệt đã bắt đầu tải
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+}
+
+/**
+ * SvgChart - Biểu đồ SVG đơn giản dựng bằng chuỗi, màu lấy từ CSS (`.chart__*`)
+ * Giá trị chi tiết hiển thị qua <title> (tooltip) của từng cột/thanh
+ */
+class SvgChart {
+    static WIDTH = 320;
+    static HEIGHT = 120;
+    static AXIS_LABEL_HEIGHT = 16;
+    static ROW_HEIGHT = 24;
+    static LABEL_WIDTH = 120;
+    static VALUE_WIDTH = 40;
+
+    /**
+     * Biểu đồ cột dọc, trục ngang chỉ ghi nhãn đầu và cuối
+     * @param {Array<{ label: string, value: number }>} items
+     * @param {string} ariaLabel
+     * @returns {string}
+     */
+    static columns(items, ariaLabel) {
+        const { WIDTH, HEIGHT, AXIS_LABEL_HEIGHT } = SvgChart;
+        const plotHeight = HEIGHT - AXIS_LABEL_HEIGHT;
+        const maxValue = Math.max(1, ...items.map(item => item.value));
+        const slotWidth = WIDTH / Math.max(1, items.length);
+        const columns = items.map((item, index) => {
+            const height = item.value / maxValue * plotHeight;
+            return `
+                <rect class="chart__bar" x="${index * slotWidth + slotWidth * 0.1}" y="${plotHeight - height}"
+                    width="${slotWidth * 0.8}" height="${height}">
+                    <title>${HtmlUtils.escape(item.label)}: ${item.value}</title>
+                </rect>
+            `;
+        }).join('');
+        const axisLabels = items.length === 0 ? '' : `
+            <text class="chart__label" x="0" y="${HEIGHT - 4}">${HtmlUtils.escape(items[0].label)}</text>
+            <text class="chart__label" x="${WIDTH}" y="${HEIGHT - 4}" text-anchor="end">${HtmlUtils.escape(items[items.length - 1].label)}</text>
+        `;
+        return `
+            <svg class="chart" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img" aria-label="${HtmlUtils.escape(ariaLabel)}">
+                <line class="chart__axis" x1="0" y1="${plotHeight}" x2="${WIDTH}" y2="${plotHeight}"></line>
+                ${columns}
+                ${axisLabels}
+            </svg>
+        `;
+    }
+
+    /**
+     * Biểu đồ thanh ngang, mỗi dòng có nhãn bên trái và giá trị bên phải
+     * @param {Array<{ label: string, value: number }>} items
+     * @param {string} ariaLabel
+     * @returns {string}
+     */
+    static bars(items, ariaLabel) {
+        const { WIDTH, ROW_HEIGHT, LABEL_WIDTH, VALUE_WIDTH } = SvgChart;
+        const height = Math.max(1, items.length) * ROW_HEIGHT;
+        const plotWidth = WIDTH - LABEL_WIDTH - VALUE_WIDTH;
+        const maxValue = Math.max(1, ...items.map(item => item.value));
+        const rows = items.map((item, index) => {
+            const y = index * ROW_HEIGHT;
+            const width = item.value / maxValue * plotWidth;
+            return `
+                <text class="chart__label" x="${LABEL_WIDTH - 8}" y="${y + ROW_HEIGHT * 0.65}" text-anchor="end">${HtmlUtils.escape(item.label)}</text>
+                <rect class="chart__bar" x="${LABEL_WIDTH}" y="${y + ROW_HEIGHT * 0.15}" width="${width}" height="${ROW_HEIGHT * 0.7}">
+                    <title>${HtmlUtils.escape(item.label)}: ${item.value}</title>
+                </rect>
+                <text class="chart__label" x="${LABEL_WIDTH + width + 4}" y="${y + ROW_HEIGHT * 0.65}">${item.value}</text>
+            `;
+        }).join('');
+        return `
+            <svg class="chart" viewBox="0 0 ${WIDTH} ${height}" role="img" aria-label="${HtmlUtils.escape(ariaLabel)}">
+                ${rows}
+            </svg>
+        `;
+    }
+}
+
+/**
+ * ImageGallery - Gallery ảnh sản phẩm với chuỗi ảnh dự phòng
+ * Khi một ảnh lỗi: thử ảnh kế tiếp, rồi ảnh danh mục, cuối cùng là placeholder trong config.
+ * Lỗi được bắt bằng một listener `error` trên root thay cho onerror inline.
+ */
+class ImageGallery {
+    /**
+     * @param {Object} options
+     * @param {string} options.placeholderUrl - Ảnh cuối của mọi chuỗi dự phòng
+     * @param {BrokenImageService} brokenImageService - Nơi ghi nhận ảnh sản phẩm bị lỗi
+     */
+    constructor({ placeholderUrl }, brokenImageService) {
+        this.placeholderUrl = placeholderUrl;
+        this.brokenImageService = brokenImageService;
+    }
+
+    /**
+     * Sự kiện error của ảnh không nổi bọt nên phải nghe ở pha capture
+     * @param {HTMLElement} root
+     */
+    listen(root) {
+        root.addEventListener('error', event => {
+            const image = event.target;
+            if (image instanceof HTMLImageElement && image.dataset.imageChain) {
+                this.handleError(image);
+            }
+        }, true);
+    }
+
+    /**
+     * Ghi nhận URL lỗi (nếu là ảnh của sản phẩm) rồi chuyển sang ảnh kế tiếp trong chuỗi
+     * @param {HTMLImageElement} image
+     */
+    handleError(image) {
+        const chain = JSON.parse(image.dataset.imageChain);
+        const failedIndex = Number(image.dataset.chainIndex);
+        if (image.dataset.imageOwner && failedIndex < Number(image.dataset.ownedCount)) {
+            this.brokenImageService.record(Number(image.dataset.imageOwner), chain[failedIndex]);
+        }
+        // Placeholder cũng lỗi thì dừng, tránh vòng lặp error vô hạn
+        if (failedIndex + 1 >= chain.length) return;
+        image.dataset.chainIndex = failedIndex + 1;
+        image.src = chain[failedIndex + 1];
+    }
+
+    /**
+     * Ảnh sản phẩm không trùng lặp. Ảnh từng lỗi vẫn được thử lại, chuỗi dự phòng lo phần hiển thị.
+     * @param {Product} product
+     * @returns {Array<string>}
+     */
+    getImages(product) {
+        return [...new Set(product.images)].filter(Boolean);
+    }
+
+    /**
+     * @param {Product} product
+     * @returns {Array<string>} - Ảnh sản phẩm, ảnh danh mục rồi placeholder
+     */
+    getChain(product) {
+        return [...new Set([...this.getImages(product), product.category.image, this.placeholderUrl].filter(Boolean))];
+    }
+
+    /**
+     * @param {Object} options
+     * @param {Array<string>} options.chain - Các URL thử lần lượt
+     * @param {number} [options.index] - Vị trí bắt đầu trong chuỗi
+     * @param {number|null} [options.ownerId] - Sản phẩm sở hữu ảnh, null thì không ghi nhận lỗi
+     * @param {number} [options.ownedCount] - Số URL đầu chuỗi là ảnh của sản phẩm
+     * @param {string} options.alt
+     * @param {string} options.className
+     * @returns {string}
+     */
+    createImageHtml({ chain, index = 0, ownerId = null, ownedCount = 0, alt, className }) {
+        return `
+            <img
+                class="${className}"
+                src="${HtmlUtils.escape(chain[index])}"
+                alt="${HtmlUtils.escape(alt)}"
+                loading="lazy"
+                data-image-chain="${HtmlUtils.escape(JSON.stringify(chain))}"
+                data-chain-index="${index}"
+                data-image-owner="${ownerId ?? ''}"
+                data-owned-count="${ownedCount}"
+            >
+        `;
+    }
+
+    /**
+     * Gallery một ảnh lớn, nút chuyển ảnh khi có nhiều ảnh và (tùy chọn) hàng thumbnail
+     * @param {Product} product
+     * @param {Object} options
+     * @param {string} options.className - Class thêm cho khung gallery
+     * @param {string} options.imageClassName - Class thêm cho ảnh chính
+     * @param {string} [options.href] - Bọc ảnh chính trong link
+     * @param {boolean} [options.thumbnails]
+     * @returns {string}
+     */
+    createHtml(product, { className, imageClassName, href = '', thumbnails = false }) {
+        const images = this.getImages(product);
+        const chain = this.getChain(product);
+        const mainImage = this.createImageHtml({
+            chain,
+            ownerId: product.id,
+            ownedCount: images.length,
+            alt: product.title,
+            className: `gallery__image ${imageClassName}`
+        });
+        const controls = images.length < 2 ? '' : `
+            <button class="gallery__nav gallery__nav--previous" type="button" data-action="gallery-previous" aria-label="${I18n.t('gallery.previous')}">‹</button>
+            <button class="gallery__nav gallery__nav--next" type="button" data-action="gallery-next" aria-label="${I18n.t('gallery.next')}">›</button>
+            <span class="gallery__counter">${I18n.t('gallery.counter', { index: 1, count: images.length })}</span>
+        `;
+        const thumbnailList = !thumbnails || images.length < 2 ? '' : `
+            <div class="gallery__thumbnails">
+                ${images.map((image, index) => `
+                    <button class="gallery__thumbnail" type="button" data-action="gallery-select" data-index="${index}"
+                        aria-label="${I18n.t('gallery.showImage', { index: index + 1 })}"${index === 0 ? ' aria-current="true"' : ''}>
+                        ${this.createImageHtml({
+                            chain: [image, this.placeholderUrl],
+                            ownerId: product.id,
+                            ownedCount: 1,
+                            alt: '',
+                            className: 'gallery__thumbnail-image'
+                        })}
+                    </button>
+                `).join('')}
+            </div>
+        `;
+        return `
+            <div class="gallery ${className}" data-gallery-index="0" data-gallery-count="${images.length}">
+                <div class="gallery__stage">
+                    ${href ? `<a class="gallery__link" href="${HtmlUtils.escape(href)}">${mainImage}</a>` : mainImage}
+                    ${controls}
+                </div>
+                ${thumbnailList}
+            </div>
+        `;
+    }
+
+    /**
+     * Chuyển ảnh tương đối (nút trước/sau), vòng lại khi tới đầu/cuối
+     * @param {HTMLElement} element - Phần tử bên trong gallery
+     * @param {number} delta
+     */
+    step(element, delta) {
+        const gallery = element.closest('.gallery');
+        if (gallery) this.show(gallery, Number(gallery.dataset.galleryIndex) + delta);
+    }
+
+    /**
+     * @param {HTMLElement} gallery
+     * @param {number} index
+     */
+    show(gallery, index) {
+        const count = Number(gallery.dataset.galleryCount);
+        if (count < 2) return;
+        const nextIndex = (index + count) % count;
+        const image = gallery.querySelector('.gallery__image');
+        gallery.dataset.galleryIndex = nextIndex;
+        image.dataset.chainIndex = nextIndex;
+        image.src = JSON.parse(image.dataset.imageChain)[nextIndex];
+        gallery.querySelector('.gallery__counter').textContent = I18n.t('gallery.counter', { index: nextIndex + 1, count });
+        gallery.querySelectorAll('.gallery__thumbnail').forEach(thumbnail => {
+            if (Number(thumbnail.dataset.index) === nextIndex) {
+                thumbnail.setAttribute('aria-current', 'true');
+            } else {
+                thumbnail.removeAttribute('aria-current');
+            }
+        });
+    }
+}
+
+// ========== RENDERER ==========
+
+/**
+ * ProductRenderer - Render UI cho sản phẩm
+ * Tách biệt UI khỏi Business Logic
+ */
+class ProductRenderer {
+    /**
+     * @param {string} containerId
+     * @param {ImageGallery} imageGallery
+     * @param {Object} options
+     * @param {number} options.overscanRows - Số hàng render thêm phía trên/dưới viewport
+     * @param {number} options.initialCardCount - Số card render trước khi đo được layout
+     * @param {Function} [options.onReachEnd] - Gọi khi người dùng cuộn tới cuối danh sách
+     */
+    constructor(containerId, imageGallery, { overscanRows, initialCardCount, onReachEnd = null }) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            throw new Error(`Container with id "${containerId}" not found`);
+        }
+        this.imageGallery = imageGallery;
+        this.overscanRows = overscanRows;
+        this.initialCardCount = initialCardCount;
+        this.onReachEnd = onReachEnd;
+        this.products = [];
+        // ID sản phẩm đang chọn so sánh, quyết định trạng thái nút "So sánh" trên card
+        this.comparedIds = new Set();
+        // id -> { product, renderKey, element } của các card đang nằm trong DOM
+        this.renderedCards = new Map();
+        // { columns, rowHeight, gap } - null khi chưa đo được (grid đang ẩn/chưa có card)
+        this.layout = null;
+        this.layoutStale = false;
+        this.updateScheduled = false;
+        // Chỉ cuộn thật mới gọi onReachEnd: danh sách ngắn (bộ lọc hẹp) luôn thấy card cuối mà không cần cuộn
+        this.scrolledSinceUpdate = false;
+        this.topSpacer = this.createSpacer();
+        this.bottomSpacer = this.createSpacer();
+
+        window.addEventListener('scroll', () => {
+            this.scrolledSinceUpdate = true;
+            this.scheduleWindowUpdate();
+        }, { passive: true });
+        window.addEventListener('resize', () => {
+            this.layoutStale = true;
+            this.scheduleWindowUpdate();
+        });
+    }
+
+    /**
+     * Phần tử giữ chỗ cho các hàng nằm ngoài cửa sổ hiển thị
+     * @returns {HTMLElement}
+     */
+    createSpacer() {
+        const spacer = document.createElement('div');
+        spacer.className = 'product-grid__spacer';
+        spacer.setAttribute('aria-hidden', 'true');
+        spacer.hidden = true;
+        return spacer;
+    }
+
+    /**
+     * Tạo HTML cho một product card
+     * @param {Product} product 
+     * @returns {string}
+     */
+    createProductCardHtml(product) {
+        return `
+            <article class="product-card" data-product-id="${product.id}">
+                ${this.imageGallery.createHtml(product, {
+                    className: 'product-card__image-wrapper',
+                    imageClassName: 'product-card__image',
+                    href: RoutePaths.product(product)
+                })}
+                <span class="product-card__category">
+                    ${HtmlUtils.escape(product.category.getDisplayName())}
+                </span>
+                <div class="product-card__body">
+                    <h2 class="product-card__title">
+                        <a class="product-card__link" href="${HtmlUtils.escape(RoutePaths.product(product))}">${HtmlUtils.escape(product.title)}</a>
+                    </h2>
+                    <p class="product-card__description">${HtmlUtils.escape(product.getShortDescription())}</p>
+                    <div class="product-card__footer">
+                        <span class="product-card__price">${product.getFormattedPrice()}</span>
+                        <span class="product-card__id">${I18n.t('product.id', { id: product.id })}</span>
+                    </div>
+                    <button class="button product-card__cart" type="button" data-action="add-to-cart" data-product-id="${product.id}">
+                        ${I18n.t('product.addToCart')}
+                    </button>
+                    <button class="cart__link product-card__compare" type="button" data-action="toggle-compare" data-product-id="${product.id}"
+                        aria-pressed="${this.comparedIds.has(product.id)}">${I18n.t('product.compare')}</button>
+                </div>
+            </article>
+        `;
+    }
+
+    /**
+     * Cập nhật nút so sánh trên các card đang hiển thị, không dựng lại card
+     * @param {Array<number>} productIds
+     */
+    setComparedIds(productIds) {
+        this.comparedIds = new Set(productIds);
+        this.renderedCards.forEach(({ element }, id) => {
+            element.querySelector('.product-card__compare')?.setAttribute('aria-pressed', String(this.comparedIds.has(id)));
+        });
+    }
+
+    /**
+     * Render danh sách sản phẩm
+     * Chỉ các card trong cửa sổ hiển thị nằm trong DOM, cập nhật theo khóa data-product-id
+     * @param {Array<Product>} products 
+     */
+    renderProducts(products) {
+        const { scrollY } = window;
+        this.products = products;
+
+        if (products.length === 0) {
+            this.clear();
+            this.container.innerHTML = `<p style="text-align: center; color: var(--color-text-muted);">${I18n.t('catalog.empty')}</p>`;
+            return;
+        }
+
+        if (!this.topSpacer.isConnected) {
+            this.clear();
+            this.container.append(this.topSpacer, this.bottomSpacer);
+        }
+        // Nội dung card có thể đổi chiều cao (ngôn ngữ, dữ liệu sửa) nên đo lại sau khi vá
+        this.layoutStale = true;
+        this.updateWindow();
+
+        // Giữ vị trí cuộn khi bộ lọc thay đổi (trình duyệt chỉ tự kẹp lại khi trang ngắn đi)
+        if (window.scrollY !== scrollY) {
+            window.scrollTo(0, scrollY);
+        }
+    }
+
+    /**
+     * Gộp các lần cuộn/resize trong cùng một frame thành một lần cập nhật
+     */
+    scheduleWindowUpdate() {
+        if (this.updateScheduled || this.products.length === 0) return;
+        this.updateScheduled = true;
+        window.requestAnimationFrame(() => {
+            this.updateScheduled = false;
+            if (this.topSpacer.isConnected) this.updateWindow();
+        });
+    }
+
+    /**
+     * Tính cửa sổ hiển thị theo vị trí cuộn và vá DOM cho khớp
+     */
+    updateWindow() {
+        const range = this.computeVisibleRange();
+        this.patchCards(this.products.slice(range.start, range.end));
+        this.setSpacerRows(this.topSpacer, range.rowsBefore);
+        this.setSpacerRows(this.bottomSpacer, range.rowsAfter);
+
+        if (!this.layout || this.layoutStale) {
+            const layout = this.measureLayout();
+            this.layoutStale = false;
+            // Đo xong thì tính lại cửa sổ theo layout mới; grid đang ẩn thì giữ layout cũ
+            if (layout) {
+                this.layout = layout;
+                this.scheduleWindowUpdate();
+            }
+            return;
+        }
+
+        const scrolled = this.scrolledSinceUpdate;
+        this.scrolledSinceUpdate = false;
+        if (scrolled && range.end >= this.products.length && this.onReachEnd) {
+            this.onReachEnd();
+        }
+    }
+
+    /**
+     * Khoảng card cần render: các hàng giao với viewport cộng thêm overscanRows mỗi phía
+     * @returns {{start: number, end: number, rowsBefore: number, rowsAfter: number}}
+     */
+    computeVisibleRange() {
+        const total = this.products.length;
+        if (!this.layout) {
+            return { start: 0, end: Math.min(total, this.initialCardCount), rowsBefore: 0, rowsAfter: 0 };
+        }
+
+        const { columns, rowHeight } = this.layout;
+        const totalRows = Math.ceil(total / columns);
+        const gridTop = this.container.getBoundingClientRect().top;
+        const firstRow = Math.min(
+            Math.max(Math.floor(-gridTop / rowHeight) - this.overscanRows, 0),
+            totalRows - 1
+        );
+        const lastRow = Math.min(
+            Math.max(Math.ceil((window.innerHeight - gridTop) / rowHeight) + this.overscanRows, firstRow),
+            totalRows - 1
+        );
+
+        return {
+            start: firstRow * columns,
+            end: Math.min(total, (lastRow + 1) * columns),
+            rowsBefore: firstRow,
+            rowsAfter: totalRows - lastRow - 1
+        };
+    }
+
+    /**
+     * Đo số cột và chiều cao trung bình mỗi hàng từ các card đang hiển thị
+     * @returns {{columns: number, rowHeight: number, gap: number}|null}
+     */
+    measureLayout() {
+        const cards = Array.from(this.renderedCards.values(), entry => entry.element);
+        if (cards.length === 0) return null;
+
+        const firstRect = cards[0].getBoundingClientRect();
+        if (firstRect.height === 0) return null;
+
+        const gap = parseFloat(window.getComputedStyle(this.container).rowGap) || 0;
+        const columns = cards.filter(card => card.offsetTop === cards[0].offsetTop).length;
+        const rows = Math.ceil(cards.length / columns);
+        const lastRect = cards[cards.length - 1].getBoundingClientRect();
+        const rowHeight = (lastRect.bottom - firstRect.top + gap) / rows;
+
+        return { columns, rowHeight, gap };
+    }
+
+    /**
+     * Đặt chiều cao spacer bằng số hàng nó thay thế (trừ gap flex đã có sẵn)
+     * @param {HTMLElement} spacer
+     * @param {number} rows
+     */
+    setSpacerRows(spacer, rows) {
+        spacer.hidden = rows === 0 || !this.layout;
+        spacer.style.height = spacer.hidden ? '' : `${rows * this.layout.rowHeight - this.layout.gap}px`;
+    }
+
+    /**
+     * Cập nhật DOM theo khóa: giữ card không đổi, tạo card mới/đã đổi, xóa card thừa, sắp lại thứ tự
+     * @param {Array<Product>} visibleProducts
+     */
+    patchCards(visibleProducts) {
+        // Card phụ thuộc ngôn ngữ và tiền tệ nên đổi tùy chọn thì phải dựng lại
+        const renderKey = `${I18n.getLocale()}|${PriceFormatter.getCurrency()}`;
+        const nextCards = new Map();
+
+        visibleProducts.forEach(product => {
+            const current = this.renderedCards.get(product.id);
+            const isUnchanged = current && current.product === product && current.renderKey === renderKey;
+            nextCards.set(product.id, isUnchanged
+                ? current
+                : { product, renderKey, element: this.createProductCardElement(product) });
+        });
+
+        this.renderedCards.forEach((entry, id) => {
+            if (nextCards.get(id) !== entry) entry.element.remove();
+        });
+
+        let cursor = this.topSpacer.nextSibling;
+        nextCards.forEach(({ element }) => {
+            if (element === cursor) {
+                cursor = cursor.nextSibling;
+            } else {
+                this.container.insertBefore(element, cursor);
+            }
+        });
+
+        this.renderedCards = nextCards;
+    }
+
+    /**
+     * @param {Product} product
+     * @returns {HTMLElement}
+     */
+    createProductCardElement(product) {
+        const template = document.createElement('template');
+        template.innerHTML = this.createProductCardHtml(product).trim();
+        return template.content.firstElementChild;
+    }
+
+    /**
+     * Bỏ toàn bộ card và spacer trước khi thay nội dung grid bằng trạng thái khác
+     */
+    clear() {
+        this.renderedCards = new Map();
+        this.container.innerHTML = '';
+    }
+
+    /**
+     * Hiển thị loading state
+     */
+    showLoading() {
+        this.clear();
+        this.container.innerHTML = `
+            <div class="loading">
+                <div class="loading__spinner"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Trang lỗi theo loại lỗi, có nút thử lại và mã lỗi để gửi cho bộ phận hỗ trợ
+     * @param {Object} errorView
+     * @param {string} errorView.type - Một trong ErrorClassifier.TYPES
+     * @param {string} errorView.errorId - ID log entry của lỗi
+     * @param {string} [errorView.retryAction] - 'retry-init' tải lại toàn bộ, 'retry-route' chỉ mở lại trang hiện tại
+     */
+    showError({ type, errorId, retryAction = 'retry-init' }) {
+        this.clear();
+        this.container.innerHTML = `
+            <div class="error-view" role="alert" data-error-type="${type}">
+                <h2 class="error-view__title">❌ ${I18n.t(`error.${type}.title`)}</h2>
+                <p class="error-view__message">${I18n.t(`error.${type}.message`)}</p>
+                <button class="button" type="button" data-action="${retryAction}">${I18n.t('error.retry')}</button>
+                <p class="error-view__id">
+                    ${I18n.t('error.id')}: <code>${HtmlUtils.escape(errorId)}</code>
+                    <button class="cart__link" type="button" data-action="copy-error-id" data-error-id="${HtmlUtils.escape(errorId)}">${I18n.t('error.copy')}</button>
+                </p>
+            </div>
+        `;
+    }
+}
+
+/**
+ * PageRenderer - Render các trang riêng (chi tiết sản phẩm, 404) vào vùng page view
+ */
+class PageRenderer {
+    /**
+     * @param {string} containerId
+     * @param {ImageGallery} imageGallery
+     */
+    constructor(containerId, imageGallery) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            throw new Error(`Container with id "${containerId}" not found`);
+        }
+        this.imageGallery = imageGallery;
+    }
+
+    /**
+     * Trang chi tiết: toàn bộ ảnh, mô tả đầy đủ, danh mục và ngày tạo/cập nhật
+     * @param {Product} product
+     */
+    renderProductDetail(product) {
+        this.container.innerHTML = `
+            <article class="product-detail" data-product-id="${product.id}">
+                <a class="product-detail__back" href="${RoutePaths.home()}">${I18n.t('detail.back')}</a>
+                <div class="product-detail__layout">
+                    ${this.imageGallery.createHtml(product, {
+                        className: 'product-detail__gallery',
+                        imageClassName: 'product-detail__image',
+                        thumbnails: true
+                    })}
+                    <div class="product-detail__info">
+                        <a class="chip" href="${HtmlUtils.escape(RoutePaths.category(product.category.slug))}">
+                            ${HtmlUtils.escape(product.category.getDisplayName())}
+                        </a>
+                        <h2 class="product-detail__title">${HtmlUtils.escape(product.title)}</h2>
+                        <p class="product-card__price">${product.getFormattedPrice()}</p>
+                        <button class="button" type="button" data-action="add-to-cart" data-product-id="${product.id}">
+                            ${I18n.t('product.addToCart')}
+                        </button>
+                        <p class="product-detail__description">${HtmlUtils.escape(product.description || I18n.t('product.noDescription'))}</p>
+                        <dl class="product-detail__meta">
+                            <dt>${I18n.t('detail.createdAt')}</dt>
+                            <dd>${HtmlUtils.formatDate(product.creationAt)}</dd>
+                            <dt>${I18n.t('detail.updatedAt')}</dt>
+                            <dd>${HtmlUtils.formatDate(product.updatedAt)}</dd>
+                            <dt>ID</dt>
+                            <dd>${product.id}</dd>
+                        </dl>
+                    </div>
+                </div>
+            </article>
+        `;
+    }
+
+    /**
+     * Bảng so sánh: mỗi cột một sản phẩm, dòng có giá trị khác nhau được tô nổi
+     * @param {Object} comparison - Kết quả CompareService.compare()
+     */
+    renderComparison({ products, differences, cheapestIds, newestIds }) {
+        const rowLabels = {
+            image: I18n.t('compare.row.image'),
+            price: I18n.t('admin.column.price'),
+            category: I18n.t('admin.column.category'),
+            description: I18n.t('compare.row.description'),
+            creationAt: I18n.t('detail.createdAt'),
+            updatedAt: I18n.t('detail.updatedAt')
+        };
+        const headerCells = products.map(product => `
+            <th scope="col" data-product-id="${product.id}">
+                <a class="product-card__link" href="${HtmlUtils.escape(RoutePaths.product(product))}">${HtmlUtils.escape(product.title)}</a>
+                <div class="compare__badges">
+                    ${cheapestIds.has(product.id) ? `<span class="compare__badge">${I18n.t('compare.cheapest')}</span>` : ''}
+                    ${newestIds.has(product.id) ? `<span class="compare__badge">${I18n.t('compare.newest')}</span>` : ''}
+                </div>
+                <button class="cart__link" type="button" data-action="remove-compare" data-product-id="${product.id}">${I18n.t('compare.remove')}</button>
+            </th>
+        `).join('');
+        const rows = CompareService.FIELDS.map(field => `
+            <tr class="${differences[field] ? 'compare__row--different' : ''}">
+                <th scope="row">${rowLabels[field]}</th>
+                ${products.map(product => this.createComparisonCellHtml(product, field, { cheapestIds, newestIds })).join('')}
+            </tr>
+        `).join('');
+        this.container.innerHTML = `
+            <section class="admin compare">
+                <a class="product-detail__back" href="${RoutePaths.home()}">${I18n.t('detail.back')}</a>
+                <h2 class="admin__title">${I18n.t('compare.title')}</h2>
+                <p class="product-form__hint">${I18n.t('compare.hint')}</p>
+                <div class="compare__scroll">
+                    <table class="table compare__table">
+                        <thead><tr><th></th>${headerCells}</tr></thead>
+                        <tbody>
+                            ${rows}
+                            <tr>
+                                <th scope="row"></th>
+                                ${products.map(product => `
+                                    <td>
+                                        <button class="button" type="button" data-action="add-to-cart" data-product-id="${product.id}">
+                                            ${I18n.t('product.addToCart')}
+                                        </button>
+                                    </td>
+                                `).join('')}
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+            </section>
+        `;
+    }
+
+    /**
+     * @param {Product} product
+     * @param {string} field - Một trong CompareService.FIELDS
+     * @param {{ cheapestIds: Set<number>, newestIds: Set<number> }} marks
+     * @returns {string}
+     */
+    createComparisonCellHtml(product, field, { cheapestIds, newestIds }) {
+        switch (field) {
+            case 'image':
+                return `<td>${this.imageGallery.createImageHtml({
+                    chain: this.imageGallery.getChain(product),
+                    ownerId: product.id,
+                    ownedCount: this.imageGallery.getImages(product).length,
+                    alt: product.title,
+                    className: 'compare__image'
+                })}</td>`;
+            case 'price':
+                return `<td class="${cheapestIds.has(product.id) ? 'compare__cell--best' : ''}">${product.getFormattedPrice()}</td>`;
+            case 'category':
+                return `<td><a class="chip" href="${HtmlUtils.escape(RoutePaths.category(product.category.slug))}">${HtmlUtils.escape(product.category.getDisplayName())}</a></td>`;
+            case 'description':
+                return `<td class="compare__description">${HtmlUtils.escape(product.description || I18n.t('product.noDescription'))}</td>`;
+            case 'creationAt':
+                return `<td class="${newestIds.has(product.id) ? 'compare__cell--best' : ''}">${HtmlUtils.formatDate(product.creationAt)}</td>`;
+            default:
+                return `<td>${HtmlUtils.formatDate(product[field])}</td>`;
+        }
+    }
+
+    /**
+     * Link so sánh còn dưới CompareService.MIN_ITEMS sản phẩm dùng được (đã bị xóa, lỗi mạng)
+     * @param {number} failedCount - Số sản phẩm không tải được do lỗi
+     */
+    renderComparisonNeedMore(failedCount) {
+        this.container.innerHTML = `
+            <section class="admin compare">
+                <a class="product-detail__back" href="${RoutePaths.home()}">${I18n.t('detail.back')}</a>
+                <h2 class="admin__title">${I18n.t('compare.title')}</h2>
+                ${failedCount > 0 ? `<p class="product-form__error">${I18n.t('compare.loadFailed', { count: failedCount })}</p>` : ''}
+                <p class="product-form__hint">${I18n.t('compare.needMore')}</p>
+            </section>
+        `;
+    }
+
+    /**
+     * @param {string} path - Đường dẫn không tìm thấy
+     */
+    renderNotFound(path) {
+        this.container.innerHTML = `
+            <div class="not-found">
+                <h2 class="not-found__title">404</h2>
+                <p>${I18n.t('notFound.message')}: <code>${HtmlUtils.escape(path)}</code></p>
+                <a class="button" href="${RoutePaths.home()}">${I18n.t('notFound.home')}</a>
+            </div>
+        `;
+    }
+
+    showLoading() {
+        this.container.innerHTML = `
+            <div class="loading">
+                <div class="loading__spinner"></div>
+            </div>
+        `;
+    }
+}
+
+/**
+ * ViewSwitcher - Chuyển giữa view danh sách và page view trong layout chung
+ */
+class ViewSwitcher {
+    /**
+     * @param {string} catalogViewId
+     * @param {string} pageViewId
+     */
+    constructor(catalogViewId, pageViewId) {
+        this.catalogView = document.getElementById(catalogViewId);
+        this.pageView = document.getElementById(pageViewId);
+        if (!this.catalogView || !this.pageView) {
+            throw new Error(`Views "${catalogViewId}" / "${pageViewId}" not found`);
+        }
+        this.catalogScrollY = 0;
+    }
+
+    /**
+     * Quay lại catalog ở đúng vị trí cuộn trước khi rời đi
+     */
+    showCatalog() {
+        if (!this.catalogView.hidden) return;
+        this.catalogView.hidden = false;
+        this.pageView.hidden = true;
+        window.scrollTo(0, this.catalogScrollY);
+    }
+
+    showPage() {
+        if (!this.catalogView.hidden) this.catalogScrollY = window.scrollY;
+        this.catalogView.hidden = true;
+        this.pageView.hidden = false;
+        window.scrollTo(0, 0);
+    }
+}
+
+/**
+ * CartDrawer - Drawer giỏ hàng và badge số lượng trên header, subscribe Store
+ */
+class CartDrawer {
+    /**
+     * @param {Object} elementIds
+     * @param {string} elementIds.drawerId
+     * @param {string} elementIds.badgeId
+     * @param {CartService} cartService - Nguồn dữ liệu để render
+     * @param {Function} onQuantityChange - Nhận (productId, quantity) khi người dùng nhập số lượng
+     * @param {ImageGallery} imageGallery
+     */
+    constructor({ drawerId, badgeId }, cartService, onQuantityChange, imageGallery) {
+        this.drawer = document.getElementById(drawerId);
+        this.badge = document.getElementById(badgeId);
+        if (!this.drawer || !this.badge) {
+            throw new Error(`Cart elements "${drawerId}" / "${badgeId}" not found`);
+        }
+        this.cartService = cartService;
+        this.imageGallery = imageGallery;
+        this.lineList = this.drawer.querySelector('.cart__lines');
+        this.totalElement = this.drawer.querySelector('.cart__total-value');
+        this.lineList.addEventListener('change', event => {
+            const input = event.target.closest('.cart__quantity');
+            if (input) onQuantityChange(Number(input.dataset.productId), Number(input.value));
+        });
+    }
+
+    /**
+     * @param {Store} store
+     */
+    subscribeTo(store) {
+        store.subscribe((state, previousState) => {
+            if (state.cartLines !== previousState.cartLines) this.render();
+        });
+        this.render();
+    }
+
+    open() {
+        this.drawer.hidden = false;
+    }
+
+    close() {
+        this.drawer.hidden = true;
+    }
+
+    render() {
+        const lines = this.cartService.getLines();
+        this.badge.textContent = String(this.cartService.getItemCount());
+        this.totalElement.textContent = PriceFormatter.format(this.cartService.getTotal());
+        this.lineList.innerHTML = lines.length === 0
+            ? `<li class="cart__empty">${I18n.t('cart.empty')}</li>`
+            : lines.map(line => this.createLineHtml(line)).join('');
+    }
+
+    /**
+     * @param {Object} line
+     * @returns {string}
+     */
+    createLineHtml(line) {
+        const priceNotice = line.previousPrice === null ? '' : `
+            <p class="cart__notice">
+                ${I18n.t('cart.priceChanged', {
+                    previous: PriceFormatter.format(line.previousPrice),
+                    current: PriceFormatter.format(line.price)
+                })}
+                <button class="cart__link" type="button" data-action="acknowledge-price" data-product-id="${line.productId}">${I18n.t('cart.acknowledge')}</button>
+            </p>
+        `;
+        return `
+            <li class="cart__line" data-product-id="${line.productId}">
+                ${this.imageGallery.createImageHtml({
+                    chain: [line.image, this.imageGallery.placeholderUrl].filter(Boolean),
+                    alt: line.title,
+                    className: 'cart__image'
+                })}
+                <div class="cart__info">
+                    <p class="cart__title">${HtmlUtils.escape(line.title)}</p>
+                    <p class="cart__price">${PriceFormatter.format(line.price)}</p>
+                    ${priceNotice}
+                    <div class="cart__controls">
+                        <button class="cart__step" type="button" data-action="decrease-quantity" data-product-id="${line.productId}" aria-label="${I18n.t('cart.decrease')}">−</button>
+                        <input class="field cart__quantity" type="number" min="1" value="${line.quantity}" data-product-id="${line.productId}" aria-label="${I18n.t('cart.quantity')}">
+                        <button class="cart__step" type="button" data-action="increase-quantity" data-product-id="${line.productId}" aria-label="${I18n.t('cart.increase')}">+</button>
+                        <button class="cart__link" type="button" data-action="remove-from-cart" data-product-id="${line.productId}">${I18n.t('cart.remove')}</button>
+                    </div>
+                </div>
+                <span class="cart__subtotal">${PriceFormatter.format(this.cartService.getLineSubtotal(line))}</span>
+            </li>
+        `;
+    }
+}
+
+/**
+ * CompareTray - Thanh cố định cuối màn hình với các sản phẩm đang chọn so sánh, subscribe Store
+ */
+class CompareTray {
+    /**
+     * @param {string} trayId
+     * @param {CompareService} compareService
+     * @param {ImageGallery} imageGallery
+     */
+    constructor(trayId, compareService, imageGallery) {
+        this.tray = document.getElementById(trayId);
+        if (!this.tray) {
+            throw new Error(`Compare tray "${trayId}" not found`);
+        }
+        this.compareService = compareService;
+        this.imageGallery = imageGallery;
+    }
+
+    /**
+     * @param {Store} store
+     */
+    subscribeTo(store) {
+        store.subscribe((state, previousState) => {
+            if (state.compareItems !== previousState.compareItems) this.render();
+        });
+        this.render();
+    }
+
+    render() {
+        const items = this.compareService.getItems();
+        this.tray.hidden = items.length === 0;
+        if (items.length === 0) {
+            this.tray.innerHTML = '';
+            return;
+        }
+        const canCompare = CompareService.canCompare(items);
+        this.tray.innerHTML = `
+            <ul class="compare-tray__items">
+                ${items.map(item => `
+                    <li class="compare-tray__item" data-product-id="${item.productId}">
+                        ${this.imageGallery.createImageHtml({
+                            chain: [item.image, this.imageGallery.placeholderUrl].filter(Boolean),
+                            alt: item.title,
+                            className: 'compare-tray__image'
+                        })}
+                        <span class="compare-tray__title">${HtmlUtils.escape(item.title)}</span>
+                        <button class="cart__link" type="button" data-action="remove-compare" data-product-id="${item.productId}"
+                            aria-label="${HtmlUtils.escape(I18n.t('compare.removeItem', { title: item.title }))}">✕</button>
+                    </li>
+                `).join('')}
+            </ul>
+            <div class="compare-tray__actions">
+                <span class="compare-tray__count">${I18n.t('compare.selected', { count: items.length, max: CompareService.MAX_ITEMS })}</span>
+                <button class="cart__link" type="button" data-action="clear-compare">${I18n.t('compare.clear')}</button>
+                ${canCompare
+                    ? `<a class="button" href="${RoutePaths.compare(this.compareService.getProductIds())}">${I18n.t('compare.open')}</a>`
+                    : `<span class="product-form__hint">${I18n.t('compare.needMore')}</span>`}
+            </div>
+        `;
+    }
+}
+
+/**
+ * ToastNotifier - Thông báo ngắn góc màn hình (lưu thành công, lỗi đã hoàn tác...)
+ */
+class ToastNotifier {
+    static DURATION_MS = 6000;
+
+    /**
+     * @param {string} containerId
+     */
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            throw new Error(`Container with id "${containerId}" not found`);
+        }
+    }
+
+    /**
+     * @param {string} message
+     * @param {'info'|'success'|'error'} [type]
+     */
+    show(message, type = 'info') {
+        const toast = document.createElement('div');
+        toast.className = `toast toast--${type}`;
+        toast.setAttribute('role', type === 'error' ? 'alert' : 'status');
+        toast.textContent = message;
+        this.container.appendChild(toast);
+        setTimeout(() => toast.remove(), ToastNotifier.DURATION_MS);
+    }
+}
+
+/**
+ * AdminRenderer - Bảng quản trị và form tạo/sửa sản phẩm trong page view
+ * Chỉ đọc form và báo sự kiện, validate và lưu do controller/service đảm nhận
+ */
+class AdminRenderer {
+    /**
+     * @param {string} containerId
+     * @param {Object} handlers
+     * @param {Function} handlers.onSubmit - Nhận giá trị thô của form
+     * @param {Function} handlers.onTitleInput - Nhận tiêu đề đang nhập, để cập nhật slug xem trước
+     * @param {Function} handlers.onImportFile - Nhận File người dùng chọn để import
+     * @param {Function} handlers.onImportPreview - Nhận { mapping, strategy } khi bấm xem trước
+     */
+    constructor(containerId, { onSubmit, onTitleInput, onImportFile, onImportPreview }) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            throw new Error(`Container with id "${containerId}" not found`);
+        }
+        this.container.addEventListener('submit', event => {
+            const form = event.target.closest('.product-form, .import-form');
+            if (!form) return;
+            event.preventDefault();
+            if (form.classList.contains('import-form')) {
+                onImportPreview(this.readImportOptions(form));
+            } else {
+                onSubmit(this.readFormValues(form));
+            }
+        });
+        this.container.addEventListener('change', event => {
+            if (event.target.classList.contains('import__file') && event.target.files[0]) {
+                onImportFile(event.target.files[0]);
+            }
+        });
+        this.container.addEventListener('input', event => {
+            if (event.target.name === 'title' && event.target.closest('.product-form')) {
+                onTitleInput(event.target.value);
+            }
+        });
+    }
+
+    /**
+     * @param {Array<Product>} products
+     * @param {Function} isPending - (product) => boolean, sản phẩm chưa lưu xong thì chưa cho sửa/xóa
+     */
+    renderProductList(products, isPending) {
+        const rows = products.map(product => `
+            <tr data-product-id="${product.id}">
+                <td>${product.id}</td>
+                <td>${HtmlUtils.escape(product.title)}</td>
+                <td><code>${HtmlUtils.escape(product.slug) || '—'}</code></td>
+                <td>${product.getFormattedPrice()}</td>
+                <td>${HtmlUtils.escape(product.category.getDisplayName())}</td>
+                <td class="table__actions">${isPending(product) ? I18n.t('admin.saving') : `
+                    <a class="cart__link" href="${RoutePaths.adminEditProduct(product.id)}">${I18n.t('admin.edit')}</a>
+                    <button class="cart__link" type="button" data-action="delete-product" data-product-id="${product.id}">${I18n.t('admin.delete')}</button>
+                `}</td>
+            </tr>
+        `).join('');
+        this.container.innerHTML = `
+            <section class="admin">
+                <div class="admin__header">
+                    <h2 class="admin__title">${I18n.t('admin.title')}</h2>
+                    <div class="admin__actions">
+                        <a class="cart__link" href="${RoutePaths.adminQualityReport()}">${I18n.t('admin.qualityReport')}</a>
+                        <a class="cart__link" href="${RoutePaths.adminBrokenImages()}">${I18n.t('admin.brokenImages')}</a>
+                        <a class="cart__link" href="${RoutePaths.adminImport()}">${I18n.t('admin.import')}</a>
+                        <a class="button" href="${RoutePaths.adminNewProduct()}">${I18n.t('admin.newProduct')}</a>
+                    </div>
+                </div>
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>ID</th>
+                            <th>${I18n.t('admin.column.title')}</th>
+                            <th>${I18n.t('admin.column.slug')}</th>
+                            <th>${I18n.t('admin.column.price')}</th>
+                            <th>${I18n.t('admin.column.category')}</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </section>
+        `;
+    }
+
+    /**
+     * @param {{ rejected: Array<Object>, issues: Array<Object> }} report - Kết quả DataQualityAnalyzer
+     */
+    renderQualityReport(report) {
+        const rejectedRows = report.rejected.map(item => `
+            <tr>
+                <td>${HtmlUtils.escape(item.id ?? '—')}</td>
+                <td>${item.kind === 'category'
+                    ? I18n.t('quality.rejectedCategory', { name: HtmlUtils.escape(item.title) || '—' })
+                    : HtmlUtils.escape(item.title) || '—'}</td>
+                <td>${item.reasons.map(reason => HtmlUtils.escape(I18n.t(reason.key, reason.params))).join('<br>')}</td>
+            </tr>
+        `).join('');
+        const issueRows = report.issues.map(issue => `
+            <tr>
+                <td><a class="cart__link" href="${RoutePaths.adminEditProduct(issue.productId)}">${issue.productId}</a></td>
+                <td>${HtmlUtils.escape(issue.title)}</td>
+                <td>${HtmlUtils.escape(issue.message)}</td>
+            </tr>
+        `).join('');
+        const emptyRow = message => `<tr><td colspan="3">${message}</td></tr>`;
+        this.container.innerHTML = `
+            <section class="admin">
+                <a class="product-detail__back" href="${RoutePaths.admin()}">${I18n.t('admin.back')}</a>
+                <h2 class="admin__title">${I18n.t('admin.qualityReport')}</h2>
+                <h3>${I18n.t('quality.rejected', { count: report.rejected.length })}</h3>
+                <table class="table">
+                    <thead><tr><th>ID</th><th>${I18n.t('admin.column.title')}</th><th>${I18n.t('admin.column.reason')}</th></tr></thead>
+                    <tbody>${rejectedRows || emptyRow(I18n.t('quality.noRejected'))}</tbody>
+                </table>
+                <h3>${I18n.t('quality.issues', { count: report.issues.length })}</h3>
+                <table class="table">
+                    <thead><tr><th>ID</th><th>${I18n.t('admin.column.title')}</th><th>${I18n.t('admin.column.issue')}</th></tr></thead>
+                    <tbody>${issueRows || emptyRow(I18n.t('quality.noIssues'))}</tbody>
+                </table>
+            </section>
+        `;
+    }
+
+    /**
+     * @param {Array<{product: Product, urls: Array<string>}>} entries - Kết quả BrokenImageService.getReport
+     * @param {number} maxAgeDays - Số ngày giữ một ghi nhận
+     */
+    renderBrokenImages(entries, maxAgeDays) {
+        const rows = entries.map(({ product, urls }) => `
+            <tr data-product-id="${product.id}">
+                <td><a class="cart__link" href="${RoutePaths.adminEditProduct(product.id)}">${product.id}</a></td>
+                <td>${HtmlUtils.escape(product.title)}</td>
+                <td>${urls.map(url => `<code>${HtmlUtils.escape(url)}</code>`).join('<br>')}</td>
+                <td class="table__actions">
+                    <a class="cart__link" href="${RoutePaths.adminEditProduct(product.id)}">${I18n.t('admin.edit')}</a>
+                    <button class="cart__link" type="button" data-action="retry-broken-images" data-product-id="${product.id}">${I18n.t('brokenImages.retry')}</button>
+                </td>
+            </tr>
+        `).join('');
+        this.container.innerHTML = `
+            <section class="admin">
+                <a class="product-detail__back" href="${RoutePaths.admin()}">${I18n.t('admin.back')}</a>
+                <h2 class="admin__title">${I18n.t('admin.brokenImages')}</h2>
+                <p class="product-form__hint">${I18n.t('brokenImages.hint', { days: maxAgeDays })}</p>
+                <table class="table">
+                    <thead><tr><th>ID</th><th>${I18n.t('admin.column.title')}</th><th>${I18n.t('admin.column.brokenUrls')}</th><th></th></tr></thead>
+                    <tbody>${rows || `<tr><td colspan="4">${I18n.t('brokenImages.empty')}</td></tr>`}</tbody>
+                </table>
+            </section>
+        `;
+    }
+
+    /**
+     * Trang import: chọn file -> ánh xạ cột + cách gộp -> xem trước từng dòng -> áp dụng
+     * @param {Object} session
+     * @param {string} [session.fileName]
+     * @param {string} [session.error] - Lỗi đọc file
+     * @param {Array<string>} [session.columns] - Cột trong file
+     * @param {Array<Object>} [session.rows]
+     * @param {Object<string, string>} [session.mapping] - field -> cột nguồn
+     * @param {string} [session.strategy]
+     * @param {Array<Object>} [session.records] - Bản ghi đã dựng theo ánh xạ
+     * @param {Array<Object>} [session.plan] - Kết quả ProductService.planImport
+     */
+    renderImport({ fileName, error, columns, rows, mapping, strategy, records, plan, applying = false }) {
+        this.container.innerHTML = `
+            <section class="admin">
+                <a class="product-detail__back" href="${RoutePaths.admin()}">${I18n.t('admin.back')}</a>
+                <h2 class="admin__title">${I18n.t('admin.import')}</h2>
+                <p class="product-form__hint">${I18n.t('import.hint')}</p>
+                ${this.createFieldHtml('file', I18n.t('import.file'), `<input class="field import__file" type="file" accept=".csv,.json,text/csv,application/json">`)}
+                ${fileName && rows ? `<p class="product-form__hint">${I18n.t('import.currentFile', { name: HtmlUtils.escape(fileName), count: rows.length })}</p>` : ''}
+                ${error ? `<p class="product-form__error">${HtmlUtils.escape(error)}</p>` : ''}
+                ${columns ? this.createImportMappingHtml(columns, mapping, strategy) : ''}
+                ${plan ? this.createImportPreviewHtml(plan, records, applying) : ''}
+            </section>
+        `;
+    }
+
+    /**
+     * @param {Array<string>} columns
+     * @param {Object<string, string>} mapping
+     * @param {string} strategy
+     * @returns {string}
+     */
+    createImportMappingHtml(columns, mapping, strategy) {
+        const rows = CatalogImporter.FIELDS.map(field => `
+            <tr>
+                <td><code>${field}</code></td>
+                <td>
+                    <select class="field" name="map:${field}">
+                        <option value="">${I18n.t('import.skipColumn')}</option>
+                        ${columns.map(column => `
+                            <option value="${HtmlUtils.escape(column)}"${mapping[field] === column ? ' selected' : ''}>${HtmlUtils.escape(column)}</option>
+                        `).join('')}
+                    </select>
+                </td>
+            </tr>
+        `).join('');
+        const strategyOptions = ProductService.IMPORT_STRATEGIES.map(value => `
+            <option value="${value}"${value === strategy ? ' selected' : ''}>${I18n.t(`import.strategy.${value}`)}</option>
+        `).join('');
+        return `
+            <form class="import-form">
+                <h3>${I18n.t('import.mapping')}</h3>
+                <table class="table">
+                    <thead><tr><th>${I18n.t('import.column.field')}</th><th>${I18n.t('import.column.source')}</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                ${this.createFieldHtml('strategy', I18n.t('import.strategy'), `<select class="field" name="strategy">${strategyOptions}</select>`)}
+                <button class="button" type="submit">${I18n.t('import.preview')}</button>
+            </form>
+        `;
+    }
+
+    /**
+     * @param {Array<Object>} plan
+     * @param {Array<Object>} records
+     * @param {boolean} applying - Đang lưu plan, khóa nút áp dụng
+     * @returns {string}
+     */
+    createImportPreviewHtml(plan, records, applying) {
+        const count = action => plan.filter(row => row.action === action).length;
+        const pendingCount = count('create') + count('update');
+        const resultHtml = count('saved') + count('failed') === 0 ? '' : `
+            <h3>${I18n.t('import.result', { saved: count('saved'), failed: count('failed') })}</h3>
+        `;
+        const rows = plan.map(row => `
+            <tr class="import__row import__row--${row.action}">
+                <td>${row.index + 1}</td>
+                <td>${I18n.t(`import.action.${row.action}`)}</td>
+                <td>${HtmlUtils.escape(row.product?.title ?? records[row.index].title) || '—'}</td>
+                <td>${row.errors.map(reason => HtmlUtils.escape(I18n.t(reason.key, reason.params))).join('<br>')}</td>
+            </tr>
+        `).join('');
+        return `
+            <h3>${I18n.t('import.summary', { created: count('create'), updated: count('update'), rejected: count('reject') })}</h3>
+            ${resultHtml}
+            <table class="table">
+                <thead>
+                    <tr>
+                        <th>${I18n.t('import.column.row')}</th>
+                        <th>${I18n.t('import.column.action')}</th>
+                        <th>${I18n.t('admin.column.title')}</th>
+                        <th>${I18n.t('admin.column.reason')}</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <button class="button" type="button" data-action="apply-import"${pendingCount === 0 || applying ? ' disabled' : ''}>
+                ${I18n.t(applying ? 'import.applying' : 'import.apply')}
+            </button>
+        `;
+    }
+
+    /**
+     * @param {HTMLFormElement} form
+     * @returns {{ mapping: Object<string, string>, strategy: string }}
+     */
+    readImportOptions(form) {
+        const data = new FormData(form);
+        const mapping = Object.fromEntries(CatalogImporter.FIELDS
+            .map(field => [field, data.get(`map:${field}`)])
+            .filter(([, column]) => column));
+        return { mapping, strategy: data.get('strategy') };
+    }
+
+    /**
+     * @param {Product|null} product - null khi tạo mới
+     * @param {Array<Category>} categories
+     * @param {string} slugPreview
+     */
+    renderProductForm(product, categories, slugPreview) {
+        const categoryOptions = categories.map(category => `
+            <option value="${category.id}"${product && product.category.id === category.id ? ' selected' : ''}>
+                ${HtmlUtils.escape(category.getDisplayName())}
+            </option>
+        `).join('');
+        this.container.innerHTML = `
+            <section class="admin">
+                <a class="product-detail__back" href="${RoutePaths.admin()}">${I18n.t('admin.back')}</a>
+                <h2 class="admin__title">${product ? I18n.t('admin.editProduct', { id: product.id }) : I18n.t('admin.newProduct')}</h2>
+                <form class="product-form" novalidate>
+                    ${this.createFieldHtml('title', I18n.t('admin.field.title'), `<input class="field" name="title" value="${HtmlUtils.escape(product?.title)}">`)}
+                    <p class="product-form__hint">${I18n.t('admin.field.slug')} <code class="product-form__slug">${HtmlUtils.escape(slugPreview)}</code></p>
+                    ${this.createFieldHtml('price', I18n.t('admin.field.price', { currency: PriceFormatter.baseCurrency }), `<input class="field" name="price" inputmode="decimal" value="${product ? product.price : ''}">`)}
+                    ${this.createFieldHtml('categoryId', I18n.t('admin.field.category'), `
+                        <select class="field" name="categoryId">
+                            <option value="">${I18n.t('admin.field.chooseCategory')}</option>
+                            ${categoryOptions}
+                        </select>
+                    `)}
+                    ${this.createFieldHtml('description', I18n.t('admin.field.description'), `<textarea class="field" name="description" rows="4">${HtmlUtils.escape(product?.description)}</textarea>`)}
+                    ${this.createFieldHtml('images', I18n.t('admin.field.images'), `<textarea class="field" name="images" rows="3">${HtmlUtils.escape(product?.images.join('\n'))}</textarea>`)}
+                    <button class="button" type="submit">${I18n.t('admin.save')}</button>
+                </form>
+            </section>
+        `;
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} label
+     * @param {string} controlHtml
+     * @returns {string}
+     */
+    createFieldHtml(name, label, controlHtml) {
+        return `
+            <label class="product-form__field">
+                <span class="product-form__label">${label}</span>
+                ${controlHtml}
+                <span class="product-form__error" data-error-for="${name}"></span>
+            </label>
+        `;
+    }
+
+    /**
+     * @param {Object<string, string>} errors
+     */
+    showErrors(errors) {
+        this.container.querySelectorAll('.product-form__error').forEach(element => {
+            element.textContent = errors[element.dataset.errorFor] || '';
+        });
+    }
+
+    /**
+     * @param {string} slug
+     */
+    setSlugPreview(slug) {
+        const element = this.container.querySelector('.product-form__slug');
+        if (element) element.textContent = slug;
+    }
+
+    /**
+     * @param {HTMLFormElement} form
+     * @returns {Object} - Giá trị thô dạng chuỗi
+     */
+    readFormValues(form) {
+        const data = new FormData(form);
+        return {
+            title: String(data.get('title') || ''),
+            price: String(data.get('price') || ''),
+            categoryId: String(data.get('categoryId') || ''),
+            description: String(data.get('description') || ''),
+            images: String(data.get('images') || '')
+        };
+    }
+
+    /**
+     * Render lại trang mà không mất dữ liệu đang nhập trong form (vd. khi đổi ngôn ngữ).
+     * Giá trị được đưa lại theo thứ tự field, chỉ khi field cùng tên vẫn ở đúng vị trí đó.
+     * Field có giá trị đổi được phát lại sự kiện input để các phần phụ thuộc (slug xem trước) cập nhật theo.
+     * @param {Function} render
+     */
+    keepDraft(render) {
+        const readFields = () => Array.from(this.container.querySelectorAll('form [name]'))
+            .filter(element => element.type !== 'file');
+        const draft = readFields().map(element => ({
+            name: element.name,
+            value: element.value,
+            checked: element.checked
+        }));
+        render();
+        readFields().forEach((element, index) => {
+            const saved = draft[index];
+            if (!saved || saved.name !== element.name) return;
+            if (element.type === 'checkbox' || element.type === 'radio') {
+                element.checked = saved.checked;
+            } else if (element.value !== saved.value) {
+                element.value = saved.value;
+                element.dispatchEvent(new Event('input', { bubbles: true }));
+            }
+        });
+    }
+}
+
+/**
+ * PreferencesSwitcher - Chọn ngôn ngữ và tiền tệ trên header
+ */
+class PreferencesSwitcher {
+    /**
+     * @param {Object} elementIds
+     * @param {string} elementIds.localeSelectId
+     * @param {string} elementIds.currencySelectId
+     * @param {Object} handlers
+     * @param {Function} handlers.onLocaleChange
+     * @param {Function} handlers.onCurrencyChange
+     */
+    constructor({ localeSelectId, currencySelectId }, { onLocaleChange, onCurrencyChange }) {
+        this.localeSelect = document.getElementById(localeSelectId);
+        this.currencySelect = document.getElementById(currencySelectId);
+        if (!this.localeSelect || !this.currencySelect) {
+            throw new Error(`Selects "${localeSelectId}" / "${currencySelectId}" not found`);
+        }
+        this.localeSelect.addEventListener('change', () => onLocaleChange(this.localeSelect.value));
+        this.currencySelect.addEventListener('change', () => onCurrencyChange(this.currencySelect.value));
+    }
+
+    /**
+     * @param {Object} locales - I18N_LOCALES
+     * @param {Array<string>} currencies
+     * @param {{ locale: string, currency: string }} selected
+     */
+    render(locales, currencies, { locale, currency }) {
+        this.localeSelect.innerHTML = Object.entries(locales).map(([code, { label }]) =>
+            `<option value="${code}"${code === locale ? ' selected' : ''}>${HtmlUtils.escape(label)}</option>`
+        ).join('');
+        this.currencySelect.innerHTML = currencies.map(code =>
+            `<option value="${code}"${code === currency ? ' selected' : ''}>${code}</option>`
+        ).join('');
+    }
+}
+
+/**
+ * ProductToolbar - Thanh tìm kiếm, chip danh mục, khoảng giá và sắp xếp
+ * Chỉ đọc input và báo thay đổi qua onChange, không tự lọc dữ liệu
+ */
+class ProductToolbar {
+    static SEARCH_DEBOUNCE_MS = 250;
+
+    /**
+     * @param {string} containerId
+     * @param {Function} onChange - Nhận object chứa các điều kiện ProductQuery thay đổi
+     */
+    constructor(containerId, onChange) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            throw new Error(`Container with id "${containerId}" not found`);
+        }
+        this.onChange = onChange;
+        this.searchInput = this.container.querySelector('.toolbar__search');
+        this.minPriceInput = this.container.querySelector('.toolbar__price-min');
+        this.maxPriceInput = this.container.querySelector('.toolbar__price-max');
+        this.sortSelect = this.container.querySelector('.toolbar__sort');
+        this.chipList = this.container.querySelector('.chips');
+        this.searchTimeoutId = null;
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.searchInput.addEventListener('input', () => {
+            clearTimeout(this.searchTimeoutId);
+            this.searchTimeoutId = setTimeout(
+                () => this.onChange({ searchText: this.searchInput.value }),
+                ProductToolbar.SEARCH_DEBOUNCE_MS
+            );
+        });
+        this.minPriceInput.addEventListener('change', () => {
+            this.onChange({ minPrice: this.parsePrice(this.minPriceInput.value) });
+        });
+        this.maxPriceInput.addEventListener('change', () => {
+            this.onChange({ maxPrice: this.parsePrice(this.maxPriceInput.value) });
+        });
+        this.sortSelect.addEventListener('change', () => {
+            this.onChange({ sortBy: this.sortSelect.value });
+        });
+    }
+
+    /**
+     * Ô trống hoặc không phải số nghĩa là không giới hạn
+     * Người dùng nhập theo tiền tệ đang hiển thị, query lọc theo base currency
+     * @param {string} value
+     * @returns {number|null}
+     */
+    parsePrice(value) {
+        if (value.trim() === '') return null;
+        const price = Number(value);
+        return Number.isFinite(price) ? PriceFormatter.toBaseAmount(price) : null;
+    }
+
+    /**
+     * Xóa khoảng giá, dùng khi đổi tiền tệ vì số đã nhập không còn cùng đơn vị
+     */
+    clearPriceRange() {
+        this.minPriceInput.value = '';
+        this.maxPriceInput.value = '';
+    }
+
+    /**
+     * Render chip danh mục dạng link tới route category, chip đầu tiên về trang chủ
+     * @param {Array<Category>} categories
+     * @param {string|null} activeSlug
+     */
+    renderCategories(categories, activeSlug) {
+        const chips = [{ slug: null, href: RoutePaths.home(), label: I18n.t('toolbar.allCategories') }]
+            .concat(categories.map(category => ({
+                slug: category.slug,
+                href: RoutePaths.category(category.slug),
+                label: category.getDisplayName()
+            })));
+        this.chipList.innerHTML = chips.map(chip => `
+            <a
+                class="chip${chip.slug === activeSlug ? ' chip--active' : ''}"
+                href="${HtmlUtils.escape(chip.href)}"
+            >${HtmlUtils.escape(chip.label)}</a>
+        `).join('');
+    }
+}
+
+/**
+ * DashboardRenderer - Panel thống kê trong view catalog, ẩn/hiện bằng nút trên toolbar
+ */
+class DashboardRenderer {
+    /**
+     * @param {Object} elementIds
+     * @param {string} elementIds.containerId
+     * @param {string} elementIds.toggleId - Nút bật/tắt panel
+     */
+    constructor({ containerId, toggleId }) {
+        this.container = document.getElementById(containerId);
+        this.toggleButton = document.getElementById(toggleId);
+        if (!this.container || !this.toggleButton) {
+            throw new Error(`Dashboard elements "${containerId}" / "${toggleId}" not found`);
+        }
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isOpen() {
+        return !this.container.hidden;
+    }
+
+    /**
+     * @param {boolean} isOpen
+     */
+    setOpen(isOpen) {
+        this.container.hidden = !isOpen;
+        this.toggleButton.setAttribute('aria-pressed', String(isOpen));
+        if (!isOpen) this.container.innerHTML = '';
+    }
+
+    /**
+     * @param {Object} report - Kết quả CatalogAnalytics.analyze()
+     */
+    render(report) {
+        if (report.overall.count === 0) {
+            this.container.innerHTML = `
+                <section class="dashboard">
+                    <h2 class="dashboard__title">${I18n.t('dashboard.title')}</h2>
+                    <p class="product-form__hint">${I18n.t('dashboard.empty')}</p>
+                </section>
+            `;
+            return;
+        }
+        const summaries = [report.overall, ...report.categories];
+        this.container.innerHTML = `
+            <section class="dashboard">
+                <h2 class="dashboard__title">${I18n.t('dashboard.title')}</h2>
+                <p class="product-form__hint">${I18n.t('dashboard.hint')}</p>
+                <figure class="dashboard__figure">
+                    <figcaption>${I18n.t('dashboard.countByCategory')}</figcaption>
+                    ${SvgChart.bars(
+                        report.categories.map(summary => ({ label: this.getLabel(summary), value: summary.count })),
+                        I18n.t('dashboard.countByCategory')
+                    )}
+                </figure>
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>${I18n.t('dashboard.column.category')}</th>
+                            <th>${I18n.t('dashboard.column.count')}</th>
+                            <th>${I18n.t('dashboard.column.minPrice')}</th>
+                            <th>${I18n.t('dashboard.column.maxPrice')}</th>
+                            <th>${I18n.t('dashboard.column.meanPrice')}</th>
+                            <th>${I18n.t('dashboard.column.medianPrice')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>${summaries.map(summary => this.createStatsRowHtml(summary)).join('')}</tbody>
+                </table>
+                <div class="dashboard__panels">
+                    ${summaries.map(summary => this.createPanelHtml(summary, report)).join('')}
+                </div>
+            </section>
+        `;
+    }
+
+    /**
+     * @param {Object} summary
+     * @returns {string}
+     */
+    createStatsRowHtml(summary) {
+        return `
+            <tr${summary.category ? '' : ' class="dashboard__total"'}>
+                <td>${HtmlUtils.escape(this.getLabel(summary))}</td>
+                <td>${summary.count}</td>
+                <td>${PriceFormatter.format(summary.minPrice)}</td>
+                <td>${PriceFormatter.format(summary.maxPrice)}</td>
+                <td>${PriceFormatter.format(summary.meanPrice)}</td>
+                <td>${PriceFormatter.format(summary.medianPrice)}</td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Histogram giá, số sản phẩm tạo mỗi ngày và sản phẩm vừa cập nhật của một danh mục
+     * @param {Object} summary
+     * @param {Object} report
+     * @returns {string}
+     */
+    createPanelHtml(summary, report) {
+        const label = this.getLabel(summary);
+        const priceItems = report.priceBands.map((band, index) => ({
+            label: `${PriceFormatter.format(band.min)} – ${PriceFormatter.format(band.max)}`,
+            value: summary.priceBandCounts[index]
+        }));
+        const dayItems = report.days.map((day, index) => ({
+            label: HtmlUtils.formatDay(day),
+            value: summary.createdPerDay[index]
+        }));
+        const recentItems = summary.recentlyUpdated.map(product => `
+            <li class="dashboard__recent-item">
+                <a class="cart__link" href="${HtmlUtils.escape(RoutePaths.product(product))}">${HtmlUtils.escape(product.title)}</a>
+                <span>${HtmlUtils.formatDate(product.updatedAt)}</span>
+            </li>
+        `).join('');
+        return `
+            <article class="dashboard__panel">
+                <h3 class="dashboard__panel-title">${HtmlUtils.escape(label)} · ${I18n.t('catalog.count', { count: summary.count })}</h3>
+                <figure class="dashboard__figure">
+                    <figcaption>${I18n.t('dashboard.priceBands')}</figcaption>
+                    ${SvgChart.columns(priceItems, `${I18n.t('dashboard.priceBands')}: ${label}`)}
+                </figure>
+                <figure class="dashboard__figure">
+                    <figcaption>${I18n.t('dashboard.createdPerDay', { count: report.days.length })}</figcaption>
+                    ${SvgChart.columns(dayItems, `${I18n.t('dashboard.createdPerDay', { count: report.days.length })}: ${label}`)}
+                </figure>
+                <h4 class="dashboard__subtitle">${I18n.t('dashboard.recentlyUpdated')}</h4>
+                <ul class="dashboard__recent">${recentItems}</ul>
+            </article>
+        `;
+    }
+
+    /**
+     * @param {Object} summary
+     * @returns {string}
+     */
+    getLabel(summary) {
+        return summary.category ? summary.category.getDisplayName() : I18n.t('toolbar.allCategories');
+    }
+}
+
+/**
+ * CatalogStatusBar - Trạng thái offline, thời điểm cập nhật dữ liệu và thông báo có sản phẩm mới
+ */
+class CatalogStatusBar {
+    /**
+     * @param {Object} elementIds
+     * @param {string} elementIds.statusId
+     * @param {string} elementIds.noticeId
+     */
+    constructor({ statusId, noticeId }) {
+        this.status = document.getElementById(statusId);
+        this.notice = document.getElementById(noticeId);
+        if (!this.status || !this.notice) {
+            throw new Error(`Status elements "${statusId}" / "${noticeId}" not found`);
+        }
+        this.offlineBadge = this.status.querySelector('.header__offline');
+        this.updatedText = this.status.querySelector('.header__updated');
+        this.noticeButton = this.notice.querySelector('button');
+        this.lastUpdated = null;
+        this.isRefreshing = false;
+        this.newProductCount = 0;
+    }
+
+    /**
+     * @param {boolean} isOnline
+     */
+    setOnline(isOnline) {
+        this.offlineBadge.hidden = isOnline;
+    }
+
+    /**
+     * @param {Date} date - Thời điểm dữ liệu đang hiển thị được tải từ server
+     */
+    setLastUpdated(date) {
+        this.lastUpdated = date;
+        this.isRefreshing = false;
+        this.render();
+    }
+
+    /**
+     * @param {boolean} isRefreshing
+     */
+    setRefreshing(isRefreshing) {
+        this.isRefreshing = isRefreshing;
+        this.render();
+    }
+
+    /**
+     * @param {number} count - 0 để ẩn thông báo
+     */
+    setNewProductCount(count) {
+        this.newProductCount = count;
+        this.render();
+    }
+
+    /**
+     * Render lại phần chữ (gọi cả khi đổi ngôn ngữ)
+     */
+    render() {
+        if (this.isRefreshing) {
+            this.updatedText.textContent = I18n.t('status.refreshing');
+        } else {
+            this.updatedText.textContent = this.lastUpdated
+                ? I18n.t('status.lastUpdated', { time: HtmlUtils.formatDate(this.lastUpdated) })
+                : '';
+        }
+        this.notice.hidden = this.newProductCount === 0;
+        this.noticeButton.textContent = I18n.t('status.newProducts', { count: this.newProductCount });
+    }
+}
+
+/**
+ * LoadMoreButton - Nút tải thêm trang sản phẩm (phân trang phía server)
+ */
+class LoadMoreButton {
+    /**
+     * @param {string} buttonId
+     * @param {Function} onClick
+     */
+    constructor(buttonId, onClick) {
+        this.button = document.getElementById(buttonId);
+        if (!this.button) {
+            throw new Error(`Button with id "${buttonId}" not found`);
+        }
+        this.button.addEventListener('click', onClick);
+    }
+
+    /**
+     * Hiện nút khi server còn dữ liệu
+     * @param {boolean} hasMore
+     */
+    update(hasMore) {
+        this.button.hidden = !hasMore;
+        this.button.disabled = false;
+        this.button.textContent = I18n.t('catalog.loadMore');
+    }
+
+    showLoading() {
+        this.button.disabled = true;
+        this.button.textContent = I18n.t('common.loading');
+    }
+
+    showRetry() {
+        this.button.disabled = false;
+        this.button.textContent = I18n.t('catalog.loadMoreFailed');
+    }
+
+    hide() {
+        this.button.hidden = true;
+    }
+}
+
+// ========== APPLICATION CONTROLLER ==========
+
+/**
+ * ProductCatalogApp - Controller chính của ứng dụng
+ * Điều phối giữa Service và Renderer
+ */
+class ProductCatalogApp {
+    /**
+     * @param {Object} config - APP_CONFIG
+     */
+    constructor(config) {
+        this.config = config;
+        this.logger = LoggerFactory.create(config.logging);
+        this.listenForGlobalErrors();
+        I18n.configure({
+            messages: I18N_MESSAGES,
+            locales: I18N_LOCALES,
+            fallbackLocale: config.i18n.defaultLocale
+        });
+        PriceFormatter.configure(config.currency);
+        this.preferencesStorage = new PreferencesStorage(window.localStorage);
+
+        this.productService = new ProductService(
+            ProductRepositoryFactory.create(config),
+            config.pagination
+        );
+        this.brokenImageService = new BrokenImageService(new BrokenImageStorage(window.localStorage), {
+            maxAgeMs: config.images.brokenImageMaxAgeDays * 24 * 60 * 60 * 1000,
+            isOnline: () => navigator.onLine
+        });
+        this.imageGallery = new ImageGallery(config.images, this.brokenImageService);
+        this.imageGallery.listen(document.body);
+        this.productRenderer = new ProductRenderer('productGrid', this.imageGallery, {
+            ...config.catalogGrid,
+            onReachEnd: () => this.loadMoreOnScroll()
+        });
+        this.loadMoreButton = new LoadMoreButton('loadMoreButton', () => this.loadMore());
+        this.isLoadingMore = false;
+        this.autoLoadPaused = false;
+        this.productToolbar = new ProductToolbar('productToolbar', changes => this.applyQuery(changes));
+        this.catalogAnalytics = new CatalogAnalytics(this.productService);
+        this.dashboardRenderer = new DashboardRenderer({ containerId: 'catalogDashboard', toggleId: 'dashboardToggle' });
+        this.pageRenderer = new PageRenderer('pageView', this.imageGallery);
+        this.viewSwitcher = new ViewSwitcher('catalogView', 'pageView');
+        this.router = this.createRouter();
+        this.query = new ProductQuery();
+        this.productCountElement = document.getElementById('productCount');
+        this.catalogCache = new CatalogCache(window.indexedDB);
+        this.catalogStatusBar = new CatalogStatusBar({ statusId: 'catalogStatus', noticeId: 'newProductsNotice' });
+        this.catalogStatusBar.setOnline(navigator.onLine);
+        this.isRevalidating = false;
+        window.addEventListener('online', () => {
+            this.catalogStatusBar.setOnline(true);
+            this.revalidateCatalog();
+        });
+        window.addEventListener('offline', () => this.catalogStatusBar.setOnline(false));
+
+        this.store = new Store({ cartLines: [], compareItems: [], ...this.loadPreferences() });
+        this.applyPreferences(this.store.getState());
+        this.store.subscribe((state, previousState) => {
+            if (state.locale !== previousState.locale || state.currency !== previousState.currency) {
+                this.changePreferences(state, previousState);
+            }
+        });
+        this.preferencesSwitcher = new PreferencesSwitcher(
+            { localeSelectId: 'localeSelect', currencySelectId: 'currencySelect' },
+            {
+                onLocaleChange: locale => this.store.setState({ locale }),
+                onCurrencyChange: currency => this.store.setState({ currency })
+            }
+        );
+        this.preferencesSwitcher.render(I18N_LOCALES, Object.keys(config.currency.exchangeRates), this.store.getState());
+        this.cartService = new CartService(
+            this.store,
+            new CartStorage(window.localStorage),
+            () => this.toastNotifier.show(I18n.t('cart.saveFailed'), 'error')
+        );
+        this.cartDrawer = new CartDrawer(
+            { drawerId: 'cartDrawer', badgeId: 'cartCount' },
+            this.cartService,
+            (productId, quantity) => this.cartService.setQuantity(productId, quantity),
+            this.imageGallery
+        );
+        this.cartDrawer.subscribeTo(this.store);
+        this.compareService = new CompareService(this.store);
+        this.compareTray = new CompareTray('compareTray', this.compareService, this.imageGallery);
+        this.compareTray.subscribeTo(this.store);
+        this.store.subscribe((state, previousState) => {
+            if (state.compareItems !== previousState.compareItems) {
+                this.productRenderer.setComparedIds(this.compareService.getProductIds());
+            }
+        });
+
+        this.toastNotifier = new ToastNotifier('toastRegion');
+        this.dataQualityAnalyzer = new DataQualityAnalyzer();
+        this.adminRenderer = new AdminRenderer('pageView', {
+            onSubmit: values => this.submitProductForm(values),
+            onTitleInput: title => this.adminRenderer.setSlugPreview(
+                this.productService.previewSlug(title, this.editingProductId)
+            ),
+            onImportFile: file => this.readImportFile(file),
+            onImportPreview: options => this.previewImport(options)
+        });
+        this.importSession = {};
+        this.editingProductId = null;
+        // View đang hiển thị danh sách sản phẩm, render lại khi admin sửa dữ liệu
+        this.refreshCurrentView = null;
+        this.productService.subscribe(() => this.refreshCurrentView?.());
+        this.productService.subscribe(() => this.saveCatalogCache());
+        this.uiActions = this.createUiActions();
+    }
+
+    /**
+     * @returns {UiActions}
+     */
+    createUiActions() {
+        const withQuantityDelta = (productId, delta) => {
+            const line = this.cartService.getLines().find(item => item.productId === productId);
+            if (line) this.cartService.setQuantity(productId, line.quantity + delta);
+        };
+        return new UiActions(document.body)
+            .on('add-to-cart', ({ productId }) => this.addToCart(Number(productId)))
+            .on('increase-quantity', ({ productId }) => withQuantityDelta(Number(productId), 1))
+            .on('decrease-quantity', ({ productId }) => withQuantityDelta(Number(productId), -1))
+            .on('remove-from-cart', ({ productId }) => this.cartService.removeLine(Number(productId)))
+            .on('acknowledge-price', ({ productId }) => this.cartService.acknowledgePriceChange(Number(productId)))
+            .on('delete-product', ({ productId }) => this.deleteProduct(Number(productId)))
+            .on('toggle-compare', ({ productId }) => this.toggleCompare(Number(productId)))
+            .on('remove-compare', ({ productId }) => {
+                this.compareService.remove(Number(productId));
+                this.syncComparisonRoute(Number(productId));
+            })
+            .on('clear-compare', () => {
+                this.compareService.clear();
+                this.syncComparisonRoute(null);
+            })
+            .on('show-new-products', () => {
+                this.productService.showNewProducts();
+                this.catalogStatusBar.setNewProductCount(0);
+            })
+            .on('toggle-dashboard', () => {
+                this.dashboardRenderer.setOpen(!this.dashboardRenderer.isOpen());
+                this.renderCatalog();
+            })
+            .on('retry-init', () => this.init())
+            .on('retry-route', () => this.router.refresh())
+            .on('copy-error-id', ({ errorId }, element) => this.copyErrorId(errorId, element))
+            .on('export-csv', () => this.exportCatalog('csv'))
+            .on('export-json', () => this.exportCatalog('json'))
+            .on('apply-import', () => this.applyImport())
+            .on('retry-broken-images', ({ productId }) => this.retryBrokenImages(Number(productId)))
+            .on('gallery-previous', (dataset, element) => this.imageGallery.step(element, -1))
+            .on('gallery-next', (dataset, element) => this.imageGallery.step(element, 1))
+            .on('gallery-select', ({ index }, element) => this.imageGallery.show(element.closest('.gallery'), Number(index)))
+            .on('open-cart', () => this.cartDrawer.open())
+            .on('close-cart', () => this.cartDrawer.close());
+    }
+
+    /**
+     * Khởi tạo ứng dụng
+     * @returns {Promise<void>}
+     */
+    async init() {
+        try {
+            this.productRenderer.showLoading();
+            this.productCountElement.textContent = I18n.t('common.loading');
+            this.loadMoreButton.hide();
+            this.restoreCart();
+            this.restoreBrokenImages();
+            this.registerServiceWorker();
+
+            if (await this.restoreCachedCatalog()) {
+                // Có catalog đã lưu: hiển thị ngay, làm mới ở nền khi có mạng
+                await this.router.start();
+                if (navigator.onLine) this.revalidateCatalog();
+                return;
+            }
+
+            await this.productService.reload();
+            this.catalogStatusBar.setLastUpdated(this.productService.getLastFetchedAt());
+            this.saveCatalogCache();
+            this.reportQuarantine();
+            await this.cartService.reconcile(productId => this.productService.getProductById(productId));
+            await this.router.start();
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Service worker cache app shell và ảnh, bỏ qua khi trình duyệt không hỗ trợ hoặc config tắt
+     */
+    registerServiceWorker() {
+        const { serviceWorkerUrl } = this.config.offline;
+        if (!serviceWorkerUrl || !('serviceWorker' in navigator)) return;
+        navigator.serviceWorker.register(serviceWorkerUrl).catch(error => this.logError(error));
+    }
+
+    /**
+     * @returns {Promise<boolean>} - true nếu đã khôi phục được catalog từ IndexedDB
+     */
+    async restoreCachedCatalog() {
+        if (!this.catalogCache.isAvailable()) return false;
+        try {
+            const snapshot = await this.catalogCache.load();
+            if (!snapshot) return false;
+            this.productService.restoreSnapshot(snapshot);
+            this.catalogStatusBar.setLastUpdated(this.productService.getLastFetchedAt());
+            return true;
+        } catch (error) {
+            // Bản chụp hỏng hoặc IndexedDB lỗi thì tải từ server như lần đầu
+            this.logError(error);
+            return false;
+        }
+    }
+
+    /**
+     * Tải dữ liệu mới ở nền, chỉ áp dụng sản phẩm thay đổi và báo số sản phẩm mới.
+     * Lỗi mạng thì giữ nguyên dữ liệu đang hiển thị.
+     * @returns {Promise<void>}
+     */
+    async revalidateCatalog() {
+        if (this.isRevalidating) return;
+        this.isRevalidating = true;
+        this.catalogStatusBar.setRefreshing(true);
+        try {
+            const { added } = await this.productService.revalidate();
+            this.saveCatalogCache();
+            this.reportQuarantine();
+            this.catalogStatusBar.setNewProductCount(added);
+            await this.cartService.reconcile(productId => this.productService.getProductById(productId));
+        } catch (error) {
+            this.logError(error);
+        } finally {
+            this.isRevalidating = false;
+            this.catalogStatusBar.setLastUpdated(this.productService.getLastFetchedAt());
+        }
+    }
+
+    /**
+     * Lưu bản chụp catalog ở nền, lỗi IndexedDB không ảnh hưởng giao diện
+     */
+    saveCatalogCache() {
+        if (!this.catalogCache.isAvailable()) return;
+        this.catalogCache.save(this.productService.toSnapshot()).catch(error => this.logError(error));
+    }
+
+    /**
+     * Báo cho người dùng biết có bản ghi bị loại thay vì bỏ qua im lặng
+     */
+    reportQuarantine() {
+        const rejectedCount = this.productService.getQuarantine().length;
+        if (rejectedCount > 0) {
+            this.toastNotifier.show(I18n.t('quality.quarantineNotice', { count: rejectedCount }), 'error');
+        }
+    }
+
+    /**
+     * Ngôn ngữ/tiền tệ đã lưu, bỏ qua giá trị không còn được hỗ trợ
+     * @returns {{ locale: string, currency: string }}
+     */
+    loadPreferences() {
+        const defaults = {
+            locale: this.config.i18n.defaultLocale,
+            currency: this.config.currency.defaultCurrency
+        };
+        try {
+            const saved = this.preferencesStorage.load();
+            return {
+                locale: I18n.isSupported(saved.locale) ? saved.locale : defaults.locale,
+                currency: PriceFormatter.isSupported(saved.currency) ? saved.currency : defaults.currency
+            };
+        } catch (error) {
+            this.logError(error);
+            return defaults;
+        }
+    }
+
+    /**
+     * @param {{ locale: string, currency: string }} preferences
+     */
+    applyPreferences({ locale, currency }) {
+        I18n.setLocale(locale);
+        PriceFormatter.setCurrency(currency);
+        document.documentElement.lang = locale;
+        I18n.translateDom(document.body);
+    }
+
+    /**
+     * Áp dụng, lưu lựa chọn mới và render lại mọi view đang hiển thị.
+     * View có cách render lại tại chỗ thì dùng nó (giữ form đang nhập, phiên import),
+     * các view còn lại chạy lại route.
+     * @param {Object} state
+     * @param {Object} previousState
+     */
+    changePreferences(state, previousState) {
+        this.applyPreferences(state);
+        const saved = this.preferencesStorage.save({ locale: state.locale, currency: state.currency });
+        if (state.currency !== previousState.currency) {
+            this.productToolbar.clearPriceRange();
+            this.query = this.query.with({ minPrice: null, maxPrice: null });
+        }
+        this.cartDrawer.render();
+        this.compareTray.render();
+        this.catalogStatusBar.render();
+        if (this.refreshCurrentView) {
+            this.adminRenderer.keepDraft(this.refreshCurrentView);
+        } else {
+            this.router.refresh();
+        }
+        if (!saved) {
+            this.toastNotifier.show(I18n.t('header.preferencesSaveFailed'), 'error');
+        }
+    }
+
+    /**
+     * Giỏ hàng đã lưu bị hỏng thì bắt đầu giỏ mới thay vì chặn cả ứng dụng
+     */
+    restoreCart() {
+        try {
+            this.cartService.restore();
+        } catch (error) {
+            this.logError(error);
+            this.cartService.setLines([]);
+        }
+    }
+
+    /**
+     * Dữ liệu ảnh lỗi bị hỏng thì bỏ qua, ảnh sẽ được ghi nhận lại khi tải
+     */
+    restoreBrokenImages() {
+        try {
+            this.brokenImageService.restore();
+        } catch (error) {
+            this.logError(error);
+        }
+    }
+
+    /**
+     * @param {number} productId
+     * @returns {Promise<void>}
+     */
+    async addToCart(productId) {
+        try {
+            const product = await this.productService.getProductById(productId);
+            if (!product) {
+                throw new Error(`Cannot add product ${productId} to cart: product not found`);
+            }
+            this.cartService.addProduct(product);
+            this.cartDrawer.open();
+        } catch (error) {
+            this.toastNotifier.show(I18n.t('cart.addFailed', { reason: error.message }), 'error');
+            this.logError(error);
+        }
+    }
+
+    /**
+     * @returns {Router}
+     */
+    createRouter() {
+        return new Router()
+            .addRoute('/', () => this.showCatalog(null))
+            .addRoute('/category/:slug', ({ slug }) => this.showCategory(slug))
+            .addRoute('/product/id/:id', ({ id }) => this.showProduct(() => this.productService.getProductById(Number(id))))
+            .addRoute('/product/:slug', ({ slug }) => this.showProduct(() => this.productService.getProductBySlug(slug)))
+            .addRoute('/compare/:ids', ({ ids }) => this.showComparison(CompareService.parseIds(ids)))
+            .addRoute('/admin', () => this.showAdminList())
+            .addRoute('/admin/quality', () => this.showQualityReport())
+            .addRoute('/admin/images', () => this.showBrokenImages())
+            .addRoute('/admin/import', () => this.showImport())
+            .addRoute('/admin/new', () => this.showProductForm(null))
+            .addRoute('/admin/edit/:id', ({ id }) => this.showProductForm(Number(id)))
+            .setNotFound(path => this.showNotFound(path));
+    }
+
+    /**
+     * @param {string|null} categorySlug
+     */
+    showCatalog(categorySlug) {
+        this.refreshCurrentView = () => this.renderCatalog();
+        this.viewSwitcher.showCatalog();
+        this.query = this.query.with({ categorySlug });
+        this.renderCatalog();
+    }
+
+    /**
+     * @param {string} slug
+     */
+    showCategory(slug) {
+        if (!this.productService.findCategoryBySlug(slug)) {
+            this.showNotFound(this.router.getCurrentPath());
+            return;
+        }
+        this.showCatalog(slug);
+    }
+
+    /**
+     * @param {Function} loadProduct - Trả về Promise<Product|null>
+     * @returns {Promise<void>}
+     */
+    async showProduct(loadProduct) {
+        const path = this.router.getCurrentPath();
+        this.refreshCurrentView = null;
+        this.viewSwitcher.showPage();
+        this.pageRenderer.showLoading();
+        try {
+            const product = await loadProduct();
+            // Người dùng đã điều hướng đi nơi khác trong lúc chờ tải
+            if (path !== this.router.getCurrentPath()) return;
+            if (product) {
+                this.pageRenderer.renderProductDetail(product);
+            } else {
+                this.pageRenderer.renderNotFound(path);
+            }
+        } catch (error) {
+            this.handleError(error, 'retry-route');
+        }
+    }
+
+    /**
+     * Link so sánh có thể được chia sẻ nên sản phẩm chưa tải sẽ được lấy từ server.
+     * Sản phẩm lỗi/không tồn tại bị bỏ qua và URL được sửa theo các sản phẩm còn lại;
+     * lỗi ở đây chỉ ảnh hưởng trang so sánh, không chuyển sang trang lỗi của catalog.
+     * @param {Array<number>} productIds
+     * @returns {Promise<void>}
+     */
+    async showComparison(productIds) {
+        const path = this.router.getCurrentPath();
+        this.refreshCurrentView = null;
+        this.viewSwitcher.showPage();
+        this.pageRenderer.showLoading();
+        const results = await Promise.allSettled(productIds.map(id => this.productService.getProductById(id)));
+        // Người dùng đã điều hướng đi nơi khác trong lúc chờ tải
+        if (path !== this.router.getCurrentPath()) return;
+        const failedCount = results.filter(result => result.status === 'rejected').length;
+        results.filter(result => result.status === 'rejected').forEach(result => this.logError(result.reason));
+        const products = results
+            .filter(result => result.status === 'fulfilled' && result.value)
+            .map(result => result.value);
+
+        if (!CompareService.canCompare(products)) {
+            this.refreshCurrentView = () => this.pageRenderer.renderComparisonNeedMore(failedCount);
+            this.refreshCurrentView();
+            return;
+        }
+        const loadedIds = products.map(product => product.id);
+        if (loadedIds.length !== productIds.length) this.router.replace(RoutePaths.compare(loadedIds));
+        if (this.shouldReplaceComparison(loadedIds)) this.compareService.setProducts(products);
+        if (failedCount > 0) {
+            this.toastNotifier.show(I18n.t('compare.loadFailed', { count: failedCount }), 'error');
+        }
+        this.refreshCurrentView = () => this.pageRenderer.renderComparison(this.compareService.compare(products));
+        this.refreshCurrentView();
+    }
+
+    /**
+     * Danh sách đang chọn khác với link đang mở thì hỏi trước khi thay
+     * @param {Array<number>} productIds
+     * @returns {boolean}
+     */
+    shouldReplaceComparison(productIds) {
+        const selectedIds = this.compareService.getProductIds();
+        if (selectedIds.length === 0) return true;
+        const isSameSelection = selectedIds.length === productIds.length && productIds.every(id => selectedIds.includes(id));
+        return !isSameSelection && window.confirm(I18n.t('compare.confirmReplace', { count: selectedIds.length }));
+    }
+
+    /**
+     * @param {number} productId
+     */
+    toggleCompare(productId) {
+        if (this.compareService.isSelected(productId)) {
+            this.compareService.remove(productId);
+            return;
+        }
+        const product = this.productService.findById(productId);
+        if (!product) return;
+        if (!this.compareService.add(product)) {
+            this.toastNotifier.show(I18n.t('compare.full', { max: CompareService.MAX_ITEMS }), 'error');
+        }
+    }
+
+    /**
+     * Đang xem bảng so sánh thì bỏ sản phẩm khỏi URL (về trang chủ khi đã bỏ hết).
+     * Dựa trên URL chứ không phải danh sách đang chọn vì link được chia sẻ có thể khác danh sách đó.
+     * @param {number|null} removedId - null khi xóa hết
+     */
+    syncComparisonRoute(removedId) {
+        const path = this.router.getCurrentPath();
+        const prefix = '/compare/';
+        if (!path.startsWith(prefix)) return;
+        const productIds = removedId === null
+            ? []
+            : CompareService.parseIds(path.slice(prefix.length)).filter(id => id !== removedId);
+        this.router.navigate(productIds.length > 0 ? RoutePaths.compare(productIds) : RoutePaths.home());
+    }
+
+    /**
+     * @param {string} path
+     */
+    showNotFound(path) {
+        this.refreshCurrentView = null;
+        this.viewSwitcher.showPage();
+        this.pageRenderer.renderNotFound(path);
+    }
+
+    showAdminList() {
+        this.refreshCurrentView = () => this.adminRenderer.renderProductList(
+            this.productService.getAllProducts(),
+            product => this.productService.isPending(product)
+        );
+        this.viewSwitcher.showPage();
+        this.refreshCurrentView();
+    }
+
+    showQualityReport() {
+        this.refreshCurrentView = () => this.adminRenderer.renderQualityReport(this.dataQualityAnalyzer.analyze(
+            this.productService.getAllProducts(),
+            this.productService.getQuarantine()
+        ));
+        this.viewSwitcher.showPage();
+        this.refreshCurrentView();
+    }
+
+    showBrokenImages() {
+        this.refreshCurrentView = () => this.adminRenderer.renderBrokenImages(
+            this.brokenImageService.getReport(this.productService.getAllProducts()),
+            this.config.images.brokenImageMaxAgeDays
+        );
+        this.viewSwitcher.showPage();
+        this.refreshCurrentView();
+    }
+
+    showImport() {
+        this.importSession = {};
+        this.refreshCurrentView = () => this.adminRenderer.renderImport(this.importSession);
+        this.viewSwitcher.showPage();
+        this.refreshCurrentView();
+    }
+
+    /**
+     * Đọc file import và gợi ý ánh xạ cột; lỗi đọc file hiển thị ngay trên trang
+     * @param {File} file
+     * @returns {Promise<void>}
+     */
+    async readImportFile(file) {
+        try {
+            const { columns, rows } = CatalogImporter.parse(await file.text(), file.name);
+            this.importSession = {
+                fileName: file.name,
+                columns,
+                rows,
+                mapping: CatalogImporter.suggestMapping(columns),
+                strategy: ProductService.IMPORT_STRATEGIES[0]
+            };
+        } catch (error) {
+            this.importSession = { fileName: file.name, error: error.message };
+        }
+        this.refreshCurrentView?.();
+    }
+
+    /**
+     * Dry run: dựng bản ghi theo ánh xạ và báo trước kết quả từng dòng, chưa đổi catalog
+     * @param {{ mapping: Object<string, string>, strategy: string }} options
+     */
+    previewImport({ mapping, strategy }) {
+        const records = CatalogImporter.buildRecords(
+            this.importSession.rows,
+            mapping,
+            this.productService.getAvailableCategories()
+        );
+        this.importSession = {
+            ...this.importSession,
+            mapping,
+            strategy,
+            records,
+            plan: this.productService.planImport(records, strategy)
+        };
+        this.refreshCurrentView();
+    }
+
+    /**
+     * Lưu plan đang xem trước (không dựng lại từ file): hết lỗi thì về bảng quản trị,
+     * còn dòng lỗi thì ở lại trang import và ghi lý do vào từng dòng
+     * @returns {Promise<void>}
+     */
+    async applyImport() {
+        const session = this.importSession;
+        if (!session.plan || session.applying) return;
+        if (session.strategy === 'replace' && !window.confirm(I18n.t('import.confirmReplace'))) {
+            return;
+        }
+        this.importSession = { ...session, applying: true };
+        this.refreshCurrentView?.();
+        let summary;
+        try {
+            summary = await this.productService.importProducts(session.plan, session.strategy);
+        } catch (error) {
+            this.handleError(error, 'retry-route');
+            return;
+        } finally {
+            this.importSession = { ...this.importSession, applying: false };
+        }
+        if (summary.notRemoved > 0) {
+            this.toastNotifier.show(I18n.t('import.removeFailed', { count: summary.notRemoved }), 'error');
+        }
+        if (summary.failed.length === 0) {
+            this.importSession = {};
+            this.toastNotifier.show(I18n.t('import.applied', summary), 'success');
+            this.router.navigate(RoutePaths.admin());
+            return;
+        }
+        const failures = new Map(summary.failed.map(({ index, reason }) => [index, reason]));
+        this.importSession = {
+            ...session,
+            plan: session.plan.map(row => {
+                if (failures.has(row.index)) {
+                    return { ...row, action: 'failed', errors: [FieldNormalizer.reason('import.saveFailed', { reason: failures.get(row.index) })] };
+                }
+                return row.product ? { ...row, action: 'saved' } : row;
+            })
+        };
+        this.toastNotifier.show(I18n.t('import.applyFailed', { count: summary.failed.length }), 'error');
+        this.refreshCurrentView?.();
+    }
+
+    /**
+     * Xuất danh sách đang hiển thị (đã áp dụng tìm kiếm/lọc/sắp xếp)
+     * @param {string} format - 'csv' | 'json'
+     */
+    exportCatalog(format) {
+        const products = this.productService.queryProducts(this.query);
+        const fileName = `products-${new Date().toISOString().slice(0, 10)}.${format}`;
+        if (format === 'csv') {
+            FileDownloader.download(fileName, CatalogExporter.toCsv(products), 'text/csv;charset=utf-8');
+        } else {
+            FileDownloader.download(fileName, CatalogExporter.toJson(products), 'application/json');
+        }
+    }
+
+    /**
+     * Xóa ghi nhận lỗi, ảnh còn lỗi sẽ được ghi nhận lại ở lần hiển thị sau (vd: kiểm tra host ảnh đã hoạt động trở lại)
+     * @param {number} productId
+     */
+    retryBrokenImages(productId) {
+        this.brokenImageService.forget(productId);
+        this.refreshCurrentView?.();
+    }
+
+    /**
+     * Sản phẩm cần sửa có thể chưa nằm trong các trang đã tải (deep link) nên được lấy qua repository
+     * @param {number|null} productId - null khi tạo mới
+     * @returns {Promise<void>}
+     */
+    async showProductForm(productId) {
+        const path = this.router.getCurrentPath();
+        this.refreshCurrentView = null;
+        this.viewSwitcher.showPage();
+        let product = null;
+        if (productId !== null) {
+            this.pageRenderer.showLoading();
+            try {
+                product = await this.productService.getProductById(productId);
+            } catch (error) {
+                this.handleError(error, 'retry-route');
+                return;
+            }
+            if (path !== this.router.getCurrentPath()) return;
+            if (!product) {
+                this.showNotFound(path);
+                return;
+            }
+        }
+        this.editingProductId = productId;
+        const renderForm = () => this.adminRenderer.renderProductForm(
+            product,
+            this.productService.getAvailableCategories(),
+            product?.slug || this.productService.previewSlug(product?.title || '', productId)
+        );
+        // Render lại khi danh mục hoặc ngôn ngữ đổi nhưng giữ nguyên dữ liệu đang nhập
+        this.refreshCurrentView = () => this.adminRenderer.keepDraft(renderForm);
+        renderForm();
+    }
+
+    /**
+     * Validate rồi lưu optimistic: quay về bảng quản trị ngay, báo lỗi nếu backend từ chối
+     * @param {Object} values - Giá trị thô của form
+     * @returns {Promise<void>}
+     */
+    async submitProductForm(values) {
+        const { input, errors } = ProductValidator.validate(values, this.productService.getAvailableCategories());
+        if (Object.keys(errors).length > 0) {
+            this.adminRenderer.showErrors(errors);
+            return;
+        }
+        const productId = this.editingProductId;
+        this.router.navigate(RoutePaths.admin());
+        try {
+            if (productId === null) {
+                await this.productService.createProduct(input);
+            } else {
+                this.brokenImageService.prune(await this.productService.updateProduct(productId, input));
+            }
+            this.toastNotifier.show(I18n.t('admin.saved', { title: input.title }), 'success');
+        } catch (error) {
+            this.toastNotifier.show(
+                I18n.t('admin.saveFailed', { title: input.title, reason: error.message }),
+                'error'
+            );
+            this.logError(error);
+        }
+    }
+
+    /**
+     * @param {number} productId
+     * @returns {Promise<void>}
+     */
+    async deleteProduct(productId) {
+        const product = this.productService.findById(productId);
+        if (!product || !window.confirm(I18n.t('admin.confirmDelete', { title: product.title }))) return;
+        try {
+            await this.productService.deleteProduct(productId);
+            this.brokenImageService.forget(productId);
+            this.toastNotifier.show(I18n.t('admin.deleted', { title: product.title }), 'success');
+        } catch (error) {
+            this.toastNotifier.show(
+                I18n.t('admin.deleteFailed', { title: product.title, reason: error.message }),
+                'error'
+            );
+            this.logError(error);
+        }
+    }
+
+    /**
+     * Tải thêm trang sản phẩm tiếp theo
+     * Lỗi ở đây chỉ báo trên nút để không xóa các sản phẩm đã hiển thị
+     * @returns {Promise<void>}
+     */
+    async loadMore() {
+        this.isLoadingMore = true;
+        this.autoLoadPaused = false;
+        this.loadMoreButton.showLoading();
+        const rejectedBefore = this.productService.getQuarantine().length;
+        const matchedBefore = this.productService.queryProducts(this.query).length;
+        try {
+            await this.productService.loadNextPage();
+            // Trang mới không có sản phẩm nào khớp bộ lọc: dừng tự tải để không lật hết catalog trên server,
+            // người dùng bấm nút nếu muốn tìm tiếp
+            this.autoLoadPaused = this.productService.queryProducts(this.query).length === matchedBefore;
+            if (this.productService.getQuarantine().length > rejectedBefore) this.reportQuarantine();
+            this.saveCatalogCache();
+            this.renderCatalog();
+        } catch (error) {
+            // Sau lỗi chỉ thử lại khi người dùng bấm nút, tránh gọi API liên tục mỗi lần cuộn
+            this.autoLoadPaused = true;
+            this.loadMoreButton.showRetry();
+            this.logError(error);
+        } finally {
+            this.isLoadingMore = false;
+        }
+    }
+
+    /**
+     * Cuộn vô hạn: grid đã hiển thị tới card cuối thì tự tải trang tiếp theo
+     */
+    loadMoreOnScroll() {
+        if (this.productService.hasMore && !this.isLoadingMore && !this.autoLoadPaused) {
+            this.loadMore();
+        }
+    }
+
+    /**
+     * Render lại danh sách, số lượng, trạng thái phân trang và thống kê (nếu đang mở)
+     */
+    renderCatalog() {
+        const products = this.productService.queryProducts(this.query);
+        this.updateProductCount(products.length, this.productService.getProductCount());
+        this.productToolbar.renderCategories(this.productService.getUniqueCategories(), this.query.categorySlug);
+        if (this.dashboardRenderer.isOpen()) {
+            this.dashboardRenderer.render(this.catalogAnalytics.analyze(this.query));
+        }
+        this.productRenderer.renderProducts(products);
+        this.loadMoreButton.update(this.productService.hasMore);
+    }
+
+    /**
+     * Cập nhật điều kiện tìm kiếm/lọc/sắp xếp và render lại
+     * @param {Object} changes - Các điều kiện ProductQuery thay đổi
+     */
+    applyQuery(changes) {
+        this.query = this.query.with(changes);
+        // Query mới có thể khớp với trang tiếp theo, cho phép cuộn vô hạn trở lại
+        this.autoLoadPaused = false;
+        this.renderCatalog();
+    }
+
+    /**
+     * Cập nhật hiển thị số lượng sản phẩm
+     * @param {number} count - Số sản phẩm khớp query
+     * @param {number} total - Tổng số sản phẩm đã tải
+     */
+    updateProductCount(count, total) {
+        if (this.productCountElement) {
+            this.productCountElement.textContent = this.query.isFiltering()
+                ? I18n.t('catalog.countFiltered', { matched: count, count: total })
+                : I18n.t('catalog.count', { count: total });
+        }
+    }
+
+    /**
+     * Lỗi không tải được dữ liệu: log lại và hiển thị trang lỗi theo loại, có nút thử lại
+     * @param {Error} error 
+     * @param {string} [retryAction] - Lỗi khi khởi động thử lại init(), lỗi của một trang chỉ mở lại route hiện tại
+     */
+    handleError(error, retryAction = 'retry-init') {
+        const { id } = this.logError(error);
+        this.viewSwitcher.showCatalog();
+        this.loadMoreButton.hide();
+        this.productRenderer.showError({ type: ErrorClassifier.classify(error, navigator.onLine), errorId: id, retryAction });
+    }
+
+    /**
+     * @param {*} error - Thường là Error, nhưng promise có thể bị reject bằng giá trị bất kỳ
+     * @returns {Object} - Log entry, `id` dùng làm mã lỗi hiển thị cho người dùng
+     */
+    logError(error) {
+        return this.logger.error(error instanceof Error ? error.message : String(error), { error });
+    }
+
+    /**
+     * Lỗi không được bắt ở đâu khác (exception, promise bị reject không có catch)
+     */
+    listenForGlobalErrors() {
+        window.addEventListener('error', event => {
+            this.logger.error(event.message, {
+                error: event.error,
+                source: `${event.filename}:${event.lineno}:${event.colno}`
+            });
+        });
+        window.addEventListener('unhandledrejection', event => {
+            this.logger.error('Unhandled promise rejection', { error: event.reason });
+        });
+    }
+
+    /**
+     * Clipboard API cần HTTPS, không có thì bôi đen mã lỗi để người dùng tự sao chép
+     * @param {string} errorId
+     * @param {HTMLElement} element - Nút sao chép
+     * @returns {Promise<void>}
+     */
+    async copyErrorId(errorId, element) {
+        try {
+            await navigator.clipboard.writeText(errorId);
+            this.toastNotifier.show(I18n.t('error.copied', { id: errorId }), 'success');
+        } catch {
+            const code = element.closest('.error-view__id')?.querySelector('code');
+            if (code) window.getSelection().selectAllChildren(code);
+        }
+    }
+}
+
+// ========== DATA ==========
+
+/**
+ * Ngôn ngữ hỗ trợ - `intlLocale` dùng cho Intl (số, tiền, ngày, plural rules)
+ */
+const I18N_LOCALES = Object.freeze({
+    vi: { label: 'Tiếng Việt', intlLocale: 'vi-VN' },
+    en: { label: 'English', intlLocale: 'en-US' }
+});
+
+/**
+ * Message catalog theo ngôn ngữ
+ * Message dạng { one, other } là plural form, chọn theo tham số `count`
+ */
+const I18N_MESSAGES = Object.freeze({
+    vi: {
+        'header.subtitle': 'Khám phá bộ sưu tập sản phẩm của chúng tôi',
+        'header.admin': 'Quản trị',
+        'header.openCart': 'Mở giỏ hàng',
+        'header.language': 'Ngôn ngữ',
+        'header.currency': 'Tiền tệ',
+        'header.preferencesSaveFailed': 'Không lưu được ngôn ngữ/tiền tệ trên thiết bị này, lựa chọn sẽ mất khi tải lại trang',
+        'common.loading': 'Đang tải...',
+        'status.offline': 'Ngoại tuyến',
+        'status.refreshing': 'Đang cập nhật dữ liệu...',
+        'status.lastUpdated': 'Cập nhật lúc {time}',
+        'status.newProducts': 'Có {count} sản phẩm mới - Hiển thị',
+        'catalog.count': '{count} sản phẩm',
+        'catalog.countFiltered': '{matched} / {count} sản phẩm',
+        'catalog.empty': 'Không có sản phẩm nào',
+        'error.offline.title': 'Bạn đang ngoại tuyến',
+        'error.offline.message': 'Kiểm tra kết nối mạng rồi thử lại.',
+        'error.timeout.title': 'Máy chủ phản hồi quá lâu',
+        'error.timeout.message': 'Máy chủ có thể đang quá tải, vui lòng thử lại sau ít phút.',
+        'error.network.title': 'Không kết nối được tới máy chủ',
+        'error.network.message': 'Máy chủ không phản hồi hoặc bị chặn. Vui lòng thử lại.',
+        'error.server.title': 'Máy chủ đang gặp sự cố',
+        'error.server.message': 'Lỗi phía máy chủ, vui lòng thử lại sau.',
+        'error.client.title': 'Yêu cầu không hợp lệ',
+        'error.client.message': 'Máy chủ từ chối yêu cầu tải dữ liệu. Nếu lỗi lặp lại, hãy gửi mã lỗi cho bộ phận hỗ trợ.',
+        'error.unknown.title': 'Có lỗi xảy ra khi tải dữ liệu sản phẩm',
+        'error.unknown.message': 'Vui lòng thử lại. Nếu lỗi lặp lại, hãy gửi mã lỗi cho bộ phận hỗ trợ.',
+        'error.retry': 'Thử lại',
+        'error.id': 'Mã lỗi',
+        'error.copy': 'Sao chép',
+        'error.copied': 'Đã sao chép mã lỗi {id}',
+        'catalog.loadMore': 'Xem thêm',
+        'catalog.loadMoreFailed': 'Tải thất bại - Thử lại',
+        'toolbar.label': 'Tìm kiếm và lọc sản phẩm',
+        'toolbar.searchPlaceholder': 'Tìm theo tên hoặc mô tả...',
+        'toolbar.searchLabel': 'Tìm kiếm sản phẩm',
+        'toolbar.categories': 'Danh mục',
+        'toolbar.allCategories': 'Tất cả',
+        'toolbar.minPrice': 'Giá từ',
+        'toolbar.maxPrice': 'Đến',
+        'toolbar.minPriceLabel': 'Giá tối thiểu',
+        'toolbar.maxPriceLabel': 'Giá tối đa',
+        'toolbar.sortLabel': 'Sắp xếp',
+        'toolbar.exportCsv': 'Xuất CSV',
+        'toolbar.exportJson': 'Xuất JSON',
+        'toolbar.dashboard': 'Thống kê',
+        'dashboard.title': 'Thống kê catalog',
+        'dashboard.hint': 'Số liệu tính trên các sản phẩm khớp bộ lọc hiện tại',
+        'dashboard.empty': 'Không có sản phẩm nào khớp bộ lọc hiện tại',
+        'dashboard.countByCategory': 'Số sản phẩm theo danh mục',
+        'dashboard.column.category': 'Danh mục',
+        'dashboard.column.count': 'Số sản phẩm',
+        'dashboard.column.minPrice': 'Giá thấp nhất',
+        'dashboard.column.maxPrice': 'Giá cao nhất',
+        'dashboard.column.meanPrice': 'Giá trung bình',
+        'dashboard.column.medianPrice': 'Giá trung vị',
+        'dashboard.priceBands': 'Phân bố giá',
+        'dashboard.createdPerDay': 'Sản phẩm tạo mới mỗi ngày ({count} ngày gần nhất)',
+        'dashboard.recentlyUpdated': 'Cập nhật gần đây',
+        'sort.default': 'Mặc định',
+        'sort.price-asc': 'Giá tăng dần',
+        'sort.price-desc': 'Giá giảm dần',
+        'sort.newest': 'Mới nhất',
+        'sort.title': 'Tên A-Z',
+        'product.uncategorized': 'Chưa phân loại',
+        'product.noDescription': 'Chưa có mô tả',
+        'product.id': 'ID: {id}',
+        'product.addToCart': 'Thêm vào giỏ',
+        'product.compare': 'So sánh',
+        'gallery.previous': 'Ảnh trước',
+        'gallery.next': 'Ảnh sau',
+        'gallery.counter': '{index}/{count}',
+        'gallery.showImage': 'Xem ảnh {index}',
+        'detail.back': '← Quay lại danh sách',
+        'detail.createdAt': 'Ngày tạo',
+        'detail.updatedAt': 'Cập nhật',
+        'compare.title': 'So sánh sản phẩm',
+        'compare.hint': 'Các dòng được tô màu có thông tin khác nhau giữa các sản phẩm',
+        'compare.row.image': 'Ảnh',
+        'compare.row.description': 'Mô tả',
+        'compare.cheapest': 'Rẻ nhất',
+        'compare.newest': 'Mới nhất',
+        'compare.remove': 'Bỏ so sánh',
+        'compare.removeItem': 'Bỏ {title} khỏi danh sách so sánh',
+        'compare.clear': 'Xóa hết',
+        'compare.open': 'So sánh ngay',
+        'compare.selected': 'Đã chọn {count}/{max} sản phẩm',
+        'compare.needMore': 'Chọn thêm sản phẩm để so sánh',
+        'compare.full': 'Chỉ so sánh được tối đa {max} sản phẩm',
+        'compare.tray': 'Sản phẩm so sánh',
+        'compare.loadFailed': 'Không tải được {count} sản phẩm trong link so sánh',
+        'compare.confirmReplace': 'Thay {count} sản phẩm đang chọn bằng các sản phẩm trong link so sánh?',
+        'notFound.message': 'Không tìm thấy trang',
+        'notFound.home': 'Về trang chủ',
+        'cart.title': 'Giỏ hàng',
+        'cart.close': 'Đóng giỏ hàng',
+        'cart.empty': 'Giỏ hàng trống',
+        'cart.total': 'Tổng cộng',
+        'cart.priceChanged': 'Giá đã thay đổi: {previous} → {current}',
+        'cart.acknowledge': 'Đã hiểu',
+        'cart.decrease': 'Giảm',
+        'cart.increase': 'Tăng',
+        'cart.quantity': 'Số lượng',
+        'cart.remove': 'Xóa',
+        'cart.addFailed': 'Không thêm được sản phẩm vào giỏ: {reason}',
+        'cart.saveFailed': 'Không lưu được giỏ hàng trên thiết bị này, giỏ hàng sẽ mất khi tải lại trang',
+        'admin.title': 'Quản trị sản phẩm',
+        'admin.qualityReport': 'Báo cáo chất lượng dữ liệu',
+        'admin.brokenImages': 'Ảnh lỗi',
+        'admin.import': 'Nhập CSV/JSON',
+        'admin.newProduct': 'Thêm sản phẩm',
+        'admin.editProduct': 'Sửa sản phẩm #{id}',
+        'admin.back': '← Quay lại quản trị',
+        'admin.edit': 'Sửa',
+        'admin.delete': 'Xóa',
+        'admin.saving': 'Đang lưu...',
+        'admin.column.title': 'Tiêu đề',
+        'admin.column.slug': 'Slug',
+        'admin.column.price': 'Giá',
+        'admin.column.category': 'Danh mục',
+        'admin.column.reason': 'Lý do',
+        'admin.column.issue': 'Vấn đề',
+        'admin.column.brokenUrls': 'URL ảnh lỗi',
+        'admin.field.title': 'Tiêu đề',
+        'admin.field.slug': 'Slug:',
+        'admin.field.price': 'Giá ({currency})',
+        'admin.field.category': 'Danh mục',
+        'admin.field.chooseCategory': '-- Chọn danh mục --',
+        'admin.field.description': 'Mô tả',
+        'admin.field.images': 'URL ảnh (mỗi dòng một URL)',
+        'admin.save': 'Lưu',
+        'admin.saved': 'Đã lưu "{title}"',
+        'admin.saveFailed': 'Không lưu được "{title}", thay đổi đã được hoàn tác. {reason}',
+        'admin.confirmDelete': 'Xóa sản phẩm "{title}"?',
+        'admin.deleted': 'Đã xóa "{title}"',
+        'admin.deleteFailed': 'Không xóa được "{title}", sản phẩm đã được khôi phục. {reason}',
+        'brokenImages.hint': 'Các URL ảnh không tải được, ghi nhận khi hiển thị sản phẩm lúc đang online và tự hết hạn sau {days} ngày. Sửa danh sách ảnh của sản phẩm hoặc thử tải lại.',
+        'brokenImages.empty': 'Chưa ghi nhận ảnh lỗi nào',
+        'brokenImages.retry': 'Thử lại',
+        'import.hint': 'Chọn file CSV (dòng đầu là tên cột, nhiều URL ảnh ngăn bằng |) hoặc JSON (mảng sản phẩm như dữ liệu API). Mỗi dòng hợp lệ được lưu lên API như khi sửa trong form quản trị.',
+        'import.file': 'File',
+        'import.currentFile': 'Đang dùng {name}: {count} dòng dữ liệu',
+        'import.mapping': 'Ánh xạ cột',
+        'import.column.field': 'Field',
+        'import.column.source': 'Cột trong file',
+        'import.column.row': 'Dòng',
+        'import.column.action': 'Kết quả',
+        'import.skipColumn': '-- Bỏ qua --',
+        'import.strategy': 'Cách gộp',
+        'import.strategy.upsert-id': 'Cập nhật theo ID, thêm mới nếu chưa có',
+        'import.strategy.upsert-slug': 'Cập nhật theo slug, thêm mới nếu chưa có',
+        'import.strategy.replace': 'Thay toàn bộ catalog',
+        'import.preview': 'Xem trước (chưa lưu)',
+        'import.summary': 'Tạo mới {created} · Cập nhật {updated} · Lỗi {rejected}',
+        'import.action.create': 'Tạo mới',
+        'import.action.update': 'Cập nhật',
+        'import.action.reject': 'Lỗi, bỏ qua',
+        'import.action.saved': 'Đã lưu',
+        'import.action.failed': 'Lưu thất bại',
+        'import.applying': 'Đang lưu...',
+        'import.result': 'Đã lưu {saved} · Lưu thất bại {failed}',
+        'import.saveFailed': 'Không lưu được: {reason}',
+        'import.applyFailed': '{count} dòng không lưu được, xem lý do trong bảng',
+        'import.removeFailed': 'Không xóa được {count} sản phẩm cũ khi thay catalog',
+        'import.apply': 'Áp dụng import',
+        'import.applied': 'Đã import: tạo mới {created}, cập nhật {updated}, bỏ qua {rejected} dòng lỗi',
+        'import.confirmReplace': 'Thay toàn bộ catalog bằng dữ liệu import? Mọi sản phẩm đang có trên API, kể cả các trang chưa tải, sẽ bị xóa sau khi mọi dòng được lưu.',
+        'import.emptyFile': 'File không có dòng dữ liệu nào',
+        'import.invalidJson': 'JSON không hợp lệ: {reason}',
+        'import.notArray': 'File JSON phải là một mảng sản phẩm',
+        'import.duplicateId': 'ID {id} trùng với sản phẩm khác hoặc dòng khác trong file',
+        'quality.rejected': 'Bản ghi bị loại ({count})',
+        'quality.issues': 'Sản phẩm đáng ngờ ({count})',
+        'quality.noRejected': 'Không có bản ghi nào bị loại',
+        'quality.noIssues': 'Không phát hiện vấn đề',
+        'quality.quarantineNotice': '{count} bản ghi không hợp lệ đã bị loại, xem Quản trị > Báo cáo chất lượng dữ liệu',
+        'quality.rejectedCategory': 'Danh mục: {name}',
+        'quality.emptySlug': 'Slug trống',
+        'quality.duplicateSlug': 'Slug "{slug}" trùng với ID {ids}',
+        'quality.priceOutlier': 'Giá {price} lệch xa trung vị {median} của {category}',
+        'quality.titleTooShort': 'Tiêu đề quá ngắn hoặc không có chữ cái',
+        'quality.titlePlaceholder': 'Tiêu đề dạng dữ liệu mẫu',
+        'quality.titleDigits': 'Tiêu đề chứa chuỗi số dài (dữ liệu sinh tự động)',
+        'quality.titleGibberish': 'Tiêu đề giống chuỗi gõ bừa',
+        'validation.titleLength': 'Tiêu đề cần từ {min} đến {max} ký tự',
+        'validation.titleLetters': 'Tiêu đề phải chứa chữ cái',
+        'validation.priceNumber': 'Giá phải là số',
+        'validation.priceRange': 'Giá phải lớn hơn 0 và không quá {max}',
+        'validation.priceDecimals': 'Giá tối đa 2 chữ số thập phân',
+        'validation.descriptionLength': 'Mô tả cần ít nhất {min} ký tự',
+        'validation.category': 'Vui lòng chọn danh mục',
+        'validation.imagesRequired': 'Cần ít nhất một URL ảnh',
+        'validation.imageUrl': 'URL ảnh không hợp lệ: {url}',
+        'schema.notObject': 'bản ghi không phải object',
+        'schema.missingCategory': 'thiếu category',
+        'schema.invalidField': '{field} không hợp lệ: {value}',
+        'schema.emptyField': '{field} trống'
+    },
+    en: {
+        'header.subtitle': 'Explore our product collection',
+        'header.admin': 'Admin',
+        'header.openCart': 'Open cart',
+        'header.language': 'Language',
+        'header.currency': 'Currency',
+        'header.preferencesSaveFailed': 'Your language and currency could not be saved on this device and will be reset on reload',
+        'common.loading': 'Loading...',
+        'status.offline': 'Offline',
+        'status.refreshing': 'Refreshing data...',
+        'status.lastUpdated': 'Updated {time}',
+        'status.newProducts': { one: '{count} new product available - Show', other: '{count} new products available - Show' },
+        'catalog.count': { one: '{count} product', other: '{count} products' },
+        'catalog.countFiltered': { one: '{matched} / {count} product', other: '{matched} / {count} products' },
+        'catalog.empty': 'No products found',
+        'error.offline.title': 'You are offline',
+        'error.offline.message': 'Check your network connection and try again.',
+        'error.timeout.title': 'The server took too long to respond',
+        'error.timeout.message': 'The server may be busy, please try again in a few minutes.',
+        'error.network.title': 'Could not reach the server',
+        'error.network.message': 'The server did not respond or the request was blocked. Please try again.',
+        'error.server.title': 'The server is having problems',
+        'error.server.message': 'Something went wrong on the server, please try again later.',
+        'error.client.title': 'The request was rejected',
+        'error.client.message': 'The server refused to load the data. If this keeps happening, send the error ID to support.',
+        'error.unknown.title': 'Something went wrong while loading products',
+        'error.unknown.message': 'Please try again. If this keeps happening, send the error ID to support.',
+        'error.retry': 'Try again',
+        'error.id': 'Error ID',
+        'error.copy': 'Copy',
+        'error.copied': 'Copied error ID {id}',
+        'catalog.loadMore': 'Load more',
+        'catalog.loadMoreFailed': 'Loading failed - Retry',
+        'toolbar.label': 'Search and filter products',
+        'toolbar.searchPlaceholder': 'Search by title or description...',
+        'toolbar.searchLabel': 'Search products',
+        'toolbar.categories': 'Categories',
+        'toolbar.allCategories': 'All',
+        'toolbar.minPrice': 'Min price',
+        'toolbar.maxPrice': 'Max',
+        'toolbar.minPriceLabel': 'Minimum price',
+        'toolbar.maxPriceLabel': 'Maximum price',
+        'toolbar.sortLabel': 'Sort',
+        'toolbar.exportCsv': 'Export CSV',
+        'toolbar.exportJson': 'Export JSON',
+        'toolbar.dashboard': 'Analytics',
+        'dashboard.title': 'Catalog analytics',
+        'dashboard.hint': 'Figures cover the products matching the current filters',
+        'dashboard.empty': 'No products match the current filters',
+        'dashboard.countByCategory': 'Products per category',
+        'dashboard.column.category': 'Category',
+        'dashboard.column.count': 'Products',
+        'dashboard.column.minPrice': 'Min price',
+        'dashboard.column.maxPrice': 'Max price',
+        'dashboard.column.meanPrice': 'Mean price',
+        'dashboard.column.medianPrice': 'Median price',
+        'dashboard.priceBands': 'Price distribution',
+        'dashboard.createdPerDay': { one: 'New products per day (last day)', other: 'New products per day (last {count} days)' },
+        'dashboard.recentlyUpdated': 'Recently updated',
+        'sort.default': 'Default',
+        'sort.price-asc': 'Price: low to high',
+        'sort.price-desc': 'Price: high to low',
+        'sort.newest': 'Newest',
+        'sort.title': 'Title A-Z',
+        'product.uncategorized': 'Uncategorized',
+        'product.noDescription': 'No description available',
+        'product.id': 'ID: {id}',
+        'product.addToCart': 'Add to cart',
+        'product.compare': 'Compare',
+        'gallery.previous': 'Previous image',
+        'gallery.next': 'Next image',
+        'gallery.counter': '{index}/{count}',
+        'gallery.showImage': 'Show image {index}',
+        'detail.back': '← Back to products',
+        'detail.createdAt': 'Created',
+        'detail.updatedAt': 'Updated',
+        'compare.title': 'Compare products',
+        'compare.hint': 'Highlighted rows differ between the products',
+        'compare.row.image': 'Image',
+        'compare.row.description': 'Description',
+        'compare.cheapest': 'Cheapest',
+        'compare.newest': 'Newest',
+        'compare.remove': 'Remove',
+        'compare.removeItem': 'Remove {title} from comparison',
+        'compare.clear': 'Clear all',
+        'compare.open': 'Compare now',
+        'compare.selected': { one: '{count}/{max} product selected', other: '{count}/{max} products selected' },
+        'compare.needMore': 'Select another product to compare',
+        'compare.full': 'You can compare up to {max} products',
+        'compare.tray': 'Products to compare',
+        'compare.loadFailed': { one: '{count} product in the comparison link could not be loaded', other: '{count} products in the comparison link could not be loaded' },
+        'compare.confirmReplace': { one: 'Replace the {count} selected product with the products in the comparison link?', other: 'Replace the {count} selected products with the products in the comparison link?' },
+        'notFound.message': 'Page not found',
+        'notFound.home': 'Go to home page',
+        'cart.title': 'Cart',
+        'cart.close': 'Close cart',
+        'cart.empty': 'Your cart is empty',
+        'cart.total': 'Total',
+        'cart.priceChanged': 'Price changed: {previous} → {current}',
+        'cart.acknowledge': 'Got it',
+        'cart.decrease': 'Decrease',
+        'cart.increase': 'Increase',
+        'cart.quantity': 'Quantity',
+        'cart.remove': 'Remove',
+        'cart.addFailed': 'Could not add the product to the cart: {reason}',
+        'cart.saveFailed': 'The cart could not be saved on this device and will be lost on reload',
+        'admin.title': 'Product admin',
+        'admin.qualityReport': 'Data quality report',
+        'admin.brokenImages': 'Broken images',
+        'admin.import': 'Import CSV/JSON',
+        'admin.newProduct': 'New product',
+        'admin.editProduct': 'Edit product #{id}',
+        'admin.back': '← Back to admin',
+        'admin.edit': 'Edit',
+        'admin.delete': 'Delete',
+        'admin.saving': 'Saving...',
+        'admin.column.title': 'Title',
+        'admin.column.slug': 'Slug',
+        'admin.column.price': 'Price',
+        'admin.column.category': 'Category',
+        'admin.column.reason': 'Reason',
+        'admin.column.issue': 'Issue',
+        'admin.column.brokenUrls': 'Broken image URLs',
+        'admin.field.title': 'Title',
+        'admin.field.slug': 'Slug:',
+        'admin.field.price': 'Price ({currency})',
+        'admin.field.category': 'Category',
+        'admin.field.chooseCategory': '-- Choose a category --',
+        'admin.field.description': 'Description',
+        'admin.field.images': 'Image URLs (one per line)',
+        'admin.save': 'Save',
+        'admin.saved': 'Saved "{title}"',
+        'admin.saveFailed': 'Could not save "{title}", the change was rolled back. {reason}',
+        'admin.confirmDelete': 'Delete product "{title}"?',
+        'admin.deleted': 'Deleted "{title}"',
+        'admin.deleteFailed': 'Could not delete "{title}", the product was restored. {reason}',
+        'brokenImages.hint': 'Image URLs that failed to load, recorded while products were displayed online and expired after {days} days. Fix the product image list or retry loading.',
+        'brokenImages.empty': 'No broken images recorded',
+        'brokenImages.retry': 'Retry',
+        'import.hint': 'Choose a CSV file (first row holds column names, separate image URLs with |) or a JSON file (an array of products shaped like the API data). Each valid row is saved to the API just like an edit in the admin form.',
+        'import.file': 'File',
+        'import.currentFile': 'Using {name}: {count} data rows',
+        'import.mapping': 'Column mapping',
+        'import.column.field': 'Field',
+        'import.column.source': 'File column',
+        'import.column.row': 'Row',
+        'import.column.action': 'Result',
+        'import.skipColumn': '-- Skip --',
+        'import.strategy': 'Merge strategy',
+        'import.strategy.upsert-id': 'Update by ID, add when missing',
+        'import.strategy.upsert-slug': 'Update by slug, add when missing',
+        'import.strategy.replace': 'Replace the whole catalog',
+        'import.preview': 'Preview (dry run)',
+        'import.summary': 'Create {created} · Update {updated} · Errors {rejected}',
+        'import.action.create': 'Create',
+        'import.action.update': 'Update',
+        'import.action.reject': 'Error, skipped',
+        'import.action.saved': 'Saved',
+        'import.action.failed': 'Save failed',
+        'import.applying': 'Saving...',
+        'import.result': 'Saved {saved} · Save failed {failed}',
+        'import.saveFailed': 'Could not save: {reason}',
+        'import.applyFailed': { one: '{count} row could not be saved, see the table for the reason', other: '{count} rows could not be saved, see the table for the reasons' },
+        'import.removeFailed': { one: '{count} old product could not be deleted while replacing the catalog', other: '{count} old products could not be deleted while replacing the catalog' },
+        'import.apply': 'Apply import',
+        'import.applied': 'Imported: {created} created, {updated} updated, {rejected} invalid rows skipped',
+        'import.confirmReplace': 'Replace the whole catalog with the imported data? Every product on the API, including pages not loaded yet, will be deleted once every row is saved.',
+        'import.emptyFile': 'The file has no data rows',
+        'import.invalidJson': 'Invalid JSON: {reason}',
+        'import.notArray': 'The JSON file must contain an array of products',
+        'import.duplicateId': 'ID {id} is already used by another product or another row in the file',
+        'quality.rejected': 'Rejected records ({count})',
+        'quality.issues': 'Suspicious products ({count})',
+        'quality.noRejected': 'No records were rejected',
+        'quality.noIssues': 'No issues found',
+        'quality.quarantineNotice': { one: '{count} invalid record was rejected, see Admin > Data quality report', other: '{count} invalid records were rejected, see Admin > Data quality report' },
+        'quality.rejectedCategory': 'Category: {name}',
+        'quality.emptySlug': 'Empty slug',
+        'quality.duplicateSlug': 'Slug "{slug}" is also used by ID {ids}',
+        'quality.priceOutlier': 'Price {price} is far from the {category} median of {median}',
+        'quality.titleTooShort': 'Title is too short or has no letters',
+        'quality.titlePlaceholder': 'Title looks like placeholder data',
+        'quality.titleDigits': 'Title contains a long digit run (generated data)',
+        'quality.titleGibberish': 'Title looks like random typing',
+        'validation.titleLength': 'Title must be {min} to {max} characters',
+        'validation.titleLetters': 'Title must contain letters',
+        'validation.priceNumber': 'Price must be a number',
+        'validation.priceRange': 'Price must be greater than 0 and at most {max}',
+        'validation.priceDecimals': 'Price can have at most 2 decimal places',
+        'validation.descriptionLength': 'Description needs at least {min} characters',
+        'validation.category': 'Please choose a category',
+        'validation.imagesRequired': 'At least one image URL is required',
+        'validation.imageUrl': 'Invalid image URL: {url}',
+        'schema.notObject': 'record is not an object',
+        'schema.missingCategory': 'missing category',
+        'schema.invalidField': 'invalid {field}: {value}',
+        'schema.emptyField': '{field} is empty'
+    }
+});
 
 /**
- * Dữ liệu sản phẩm - Được tách riêng để dễ quản lý
- * Trong thực tế, data này sẽ được load từ API
+ * Dữ liệu sản phẩm mẫu - Nguồn cho InMemoryProductRepository
+ * khi APP_CONFIG.dataSource là 'memory' (demo offline, test)
  */
 const PRODUCT_DATA = [
     { "id": 160, "title": "External Hard Drive", "slug": "external-hard-drive", "price": 890, "description": "High-capacity external hard drive offering fast data transfer, reliable storage, and secure backup for personal and professional use.", "category": { "id": 1, "name": "Clothes", "slug": "clothes", "image": "https://i.imgur.com/QkIa5tT.jpeg", "creationAt": "2026-01-27T11:46:15.000Z", "updatedAt": "2026-01-28T02:54:10.000Z" }, "images": ["https://placehold.co/600x400"], "creationAt": "2026-01-27T12:58:26.000Z", "updatedAt": "2026-01-27T12:58:26.000Z" },
@@ -354,6 +6573,6 @@ const PRODUCT_DATA = [
  * Khởi tạo ứng dụng khi DOM đã sẵn sàng
  */
 document.addEventListener('DOMContentLoaded', () => {
-    const app = new ProductCatalogApp();
+    const app = new ProductCatalogApp(APP_CONFIG);
     app.init();
 });
@@ -0,0 +1,111 @@
+/**
+ * Service Worker - Cache app shell và ảnh sản phẩm để catalog vẫn mở được khi mạng chập chờn
+ * - App shell (index.html, main.js, config.js): stale-while-revalidate
+ * - Ảnh sản phẩm: cache-first, giới hạn số ảnh theo `offline.imageCacheLimit`
+ * - Dữ liệu API không đi qua cache này, catalog được main.js lưu trong IndexedDB
+ */
+
+importScripts('config.js');
+
+const CACHE_PREFIX = 'product-catalog-';
+// Tăng version khi đổi danh sách file để xóa cache cũ lúc activate
+const SHELL_CACHE = `${CACHE_PREFIX}shell-v1`;
+const IMAGE_CACHE = `${CACHE_PREFIX}images-v2`;
+const SHELL_FILES = ['./', './index.html', './main.js', './config.js'];
+const SHELL_PATHS = new Set(SHELL_FILES.map(file => new URL(file, self.registration.scope).pathname));
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== SHELL_CACHE && key !== IMAGE_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    if (request.destination === 'image') {
+        event.respondWith(cacheFirstImage(request));
+        return;
+    }
+    const url = new URL(request.url);
+    if (request.mode === 'navigate' || (url.origin === self.location.origin && SHELL_PATHS.has(url.pathname))) {
+        event.respondWith(staleWhileRevalidate(event));
+    }
+});
+
+/**
+ * Trả bản cache ngay (nếu có) và cập nhật cache từ mạng ở nền
+ * Lỗi mạng hoặc lỗi ghi cache (hết quota) chỉ làm bỏ qua lần cập nhật, không thành unhandled rejection
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(event.request, { ignoreSearch: true });
+    const network = fetch(event.request);
+    event.waitUntil(network
+        .then(response => response.ok ? cache.put(event.request, response.clone()) : undefined)
+        .catch(() => undefined));
+    return cached || network;
+}
+
+/**
+ * Chỉ cache ảnh tải thành công (`response.ok`), ảnh lỗi được tải lại ở lần sau;
+ * ảnh hỏng sẽ được fallback chain trong main.js xử lý
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirstImage(request) {
+    const cache = await caches.open(IMAGE_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetchImage(request);
+    if (response.ok) {
+        try {
+            await cache.put(request, response.clone());
+            await trimCache(cache, APP_CONFIG.offline.imageCacheLimit);
+        } catch {
+            // Không cache được (vd. hết quota) thì vẫn trả ảnh, lần sau tải lại từ mạng
+        }
+    }
+    return response;
+}
+
+/**
+ * `<img>` từ host khác cho response opaque (không đọc được status, 404 trông như ảnh thật)
+ * nên tải lại kiểu CORS; host không hỗ trợ CORS thì tải như thường và ảnh đó không được cache
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function fetchImage(request) {
+    try {
+        return await fetch(request.url, { mode: 'cors', credentials: 'omit' });
+    } catch {
+        return fetch(request);
+    }
+}
+
+/**
+ * Xóa các ảnh cache sớm nhất khi vượt giới hạn
+ * @param {Cache} cache
+ * @param {number} limit
+ * @returns {Promise<void>}
+ */
+async function trimCache(cache, limit) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map(key => cache.delete(key)));
+}
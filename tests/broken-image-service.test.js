@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, toPlain } = require('./helpers/load-app');
+
+const { get } = loadApp();
+const BrokenImageService = get('BrokenImageService');
+const BrokenImageStorage = get('BrokenImageStorage');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function createStorage(saved) {
+    const items = new Map(saved ? [[BrokenImageStorage.STORAGE_KEY, JSON.stringify(saved)]] : []);
+    return {
+        getItem: key => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, value),
+        read: () => JSON.parse(items.get(BrokenImageStorage.STORAGE_KEY))
+    };
+}
+
+function createService({ saved, online = true, start = 10 * DAY } = {}) {
+    const storage = createStorage(saved);
+    const clock = { time: start, online };
+    const service = new BrokenImageService(new BrokenImageStorage(storage), {
+        maxAgeMs: 7 * DAY,
+        isOnline: () => clock.online,
+        now: () => clock.time
+    });
+    return { service, storage, clock };
+}
+
+test('errors while offline are not recorded', () => {
+    const { service, clock } = createService({ online: false });
+    service.record(1, 'https://img.test/a.png');
+    assert.equal(service.isBroken(1, 'https://img.test/a.png'), false);
+    clock.online = true;
+    service.record(1, 'https://img.test/a.png');
+    assert.equal(service.isBroken(1, 'https://img.test/a.png'), true);
+});
+
+test('records expire after maxAgeMs and are dropped on restore', () => {
+    const { service, storage, clock } = createService({
+        saved: { 1: { 'https://img.test/old.png': 1 * DAY, 'https://img.test/new.png': 9 * DAY } }
+    });
+    service.restore();
+    assert.deepEqual(toPlain(storage.read()), { 1: { 'https://img.test/new.png': 9 * DAY } });
+    clock.time = 17 * DAY;
+    assert.equal(service.isBroken(1, 'https://img.test/new.png'), false);
+});
+
+test('a storage write failure keeps the record for the session instead of throwing', () => {
+    const { service, storage } = createService();
+    storage.setItem = () => { throw new Error('QuotaExceededError'); };
+    assert.doesNotThrow(() => service.record(3, 'https://img.test/a.png'));
+    assert.equal(service.isBroken(3, 'https://img.test/a.png'), true);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, toPlain } = require('./helpers/load-app');
+
+const { get } = loadApp();
+const Store = get('Store');
+const CartService = get('CartService');
+const CartStorage = get('CartStorage');
+
+function createStorage({ failWrites = false } = {}) {
+    const items = new Map();
+    return {
+        getItem: key => items.get(key) ?? null,
+        setItem: (key, value) => {
+            if (failWrites) throw new Error('QuotaExceededError');
+            items.set(key, value);
+        }
+    };
+}
+
+function createCart(options) {
+    let saveFailures = 0;
+    const cart = new CartService(new Store({ cartLines: [] }), new CartStorage(createStorage(options)), () => saveFailures++);
+    return { cart, getSaveFailures: () => saveFailures };
+}
+
+function line(productId, price) {
+    return { productId, title: `Product ${productId}`, image: '', price, previousPrice: null, quantity: 1 };
+}
+
+function deferred() {
+    let resolve;
+    const promise = new Promise(done => { resolve = done; });
+    return { promise, resolve };
+}
+
+test('reconcile applies each lookup to its own line when the cart changes while waiting', async () => {
+    const { cart } = createCart();
+    cart.setLines([line(1, 10), line(2, 20)]);
+    const lookups = new Map([[1, deferred()], [2, deferred()]]);
+    const pending = cart.reconcile(productId => lookups.get(productId).promise);
+
+    // Người dùng xóa dòng 1 và thêm sản phẩm 3 trong lúc đang tra cứu
+    cart.removeLine(1);
+    cart.setLines(cart.getLines().concat(line(3, 30)));
+    lookups.get(1).resolve({ id: 1, title: 'Product 1', price: 99 });
+    lookups.get(2).resolve({ id: 2, title: 'Product 2 renamed', price: 25 });
+    await pending;
+
+    assert.deepEqual(toPlain(cart.getLines()), [
+        { ...line(2, 25), title: 'Product 2 renamed', previousPrice: 20 },
+        line(3, 30)
+    ]);
+});
+
+test('reconcile drops deleted products and keeps lines whose lookup failed', async () => {
+    const { cart } = createCart();
+    cart.setLines([line(1, 10), line(2, 20)]);
+    await cart.reconcile(async productId => {
+        if (productId === 1) return null;
+        throw new Error('offline');
+    });
+    assert.deepEqual(toPlain(cart.getLines()), [line(2, 20)]);
+});
+
+test('a storage write failure keeps the cart in memory and reports it', () => {
+    const { cart, getSaveFailures } = createCart({ failWrites: true });
+    cart.addProduct({ id: 7, title: 'Cap', price: 12, getPrimaryImage: () => '' });
+    assert.equal(cart.getItemCount(), 1);
+    assert.equal(getSaveFailures(), 1);
+});
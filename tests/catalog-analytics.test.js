@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, toPlain } = require('./helpers/load-app');
+
+const { get } = loadApp();
+const CatalogAnalytics = get('CatalogAnalytics');
+const Product = get('Product');
+
+const CATEGORY = { id: 1, name: 'Clothes', slug: 'clothes', image: '', creationAt: '2024-01-01T00:00:00.000Z' };
+
+// Không có hậu tố Z: ngày tính theo giờ địa phương như CatalogAnalytics
+function product(id, creationAt) {
+    return new Product({ id, title: `P${id}`, slug: `p${id}`, price: id, description: '', category: CATEGORY, images: [], creationAt, updatedAt: creationAt });
+}
+
+const analytics = new CatalogAnalytics(null);
+
+test('median handles odd, even and empty inputs without reordering them', () => {
+    const values = [9, 1, 5];
+    assert.equal(CatalogAnalytics.median(values), 5);
+    assert.deepEqual(values, [9, 1, 5]);
+    assert.equal(CatalogAnalytics.median([4, 1, 3, 2]), 2.5);
+    assert.equal(CatalogAnalytics.median([7]), 7);
+    assert.equal(CatalogAnalytics.median([]), null);
+});
+
+test('createPriceBands splits the range evenly and ends exactly at the highest price', () => {
+    const bands = analytics.createPriceBands([10, 60, 35]);
+    assert.equal(bands.length, CatalogAnalytics.PRICE_BAND_COUNT);
+    assert.deepEqual(toPlain(bands[0]), { min: 10, max: 20 });
+    assert.deepEqual(toPlain(bands[4]), { min: 50, max: 60 });
+    assert.deepEqual(toPlain(analytics.createPriceBands([])), []);
+    assert.deepEqual(toPlain(analytics.createPriceBands([8, 8])), [{ min: 8, max: 8 }]);
+});
+
+test('countByPriceBand puts a band edge in the next band and the highest price in the last band', () => {
+    const bands = analytics.createPriceBands([10, 60]);
+    assert.deepEqual(toPlain(analytics.countByPriceBand([10, 19.99, 20, 50, 60], bands)), [2, 1, 0, 0, 2]);
+    assert.deepEqual(toPlain(analytics.countByPriceBand([8, 8], analytics.createPriceBands([8]))), [2]);
+    assert.deepEqual(toPlain(analytics.countByPriceBand([5], [])), []);
+});
+
+test('countByDay counts products per local day over the window ending at the latest product', () => {
+    const products = [
+        product(1, '2026-10-18T23:30:00'),
+        product(2, '2026-10-18T00:10:00'),
+        product(3, '2026-10-16T12:00:00'),
+        product(4, '2026-08-01T12:00:00'),
+        product(5, 'not a date')
+    ];
+    const days = analytics.createDays(products);
+    const counts = analytics.countByDay(products, days);
+
+    assert.equal(days.length, CatalogAnalytics.DAY_COUNT);
+    assert.equal(CatalogAnalytics.getDayKey(days[days.length - 1]), '2026-10-18');
+    assert.equal(CatalogAnalytics.getDayKey(days[0]), '2026-09-19');
+    assert.deepEqual(toPlain(counts.slice(-3)), [1, 0, 2]);
+    assert.equal(counts.reduce((sum, count) => sum + count, 0), 3);
+    assert.deepEqual(toPlain(analytics.createDays([product(6, 'not a date')])), []);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, toPlain } = require('./helpers/load-app');
+
+const { get } = loadApp();
+const CompareService = get('CompareService');
+const Product = get('Product');
+const Store = get('Store');
+
+const CLOTHES = { id: 1, name: 'Clothes', slug: 'clothes', image: '', creationAt: '2024-01-01T00:00:00.000Z' };
+const SHOES = { ...CLOTHES, id: 2, name: 'Shoes', slug: 'shoes' };
+
+function product(id, overrides = {}) {
+    return new Product({
+        id,
+        title: `P${id}`,
+        slug: `p${id}`,
+        price: 10,
+        description: 'Same',
+        category: CLOTHES,
+        images: ['https://img.test/same.png'],
+        creationAt: '2025-01-01T00:00:00.000Z',
+        updatedAt: '2025-01-01T00:00:00.000Z',
+        ...overrides
+    });
+}
+
+const service = new CompareService(new Store({ compareItems: [] }));
+
+function compareIds(products) {
+    const { differences, cheapestIds, newestIds } = service.compare(products);
+    return toPlain({ differences, cheapestIds: [...cheapestIds], newestIds: [...newestIds] });
+}
+
+test('compare flags only the fields that differ', () => {
+    const result = compareIds([
+        product(1),
+        product(2, { category: SHOES, description: '', updatedAt: '2025-02-01T00:00:00.000Z' })
+    ]);
+    assert.deepEqual(result.differences, {
+        image: false, price: false, category: true, description: true, creationAt: false, updatedAt: true
+    });
+    assert.deepEqual(result.cheapestIds, []);
+    assert.deepEqual(result.newestIds, []);
+});
+
+test('compare marks every product tied for cheapest or newest', () => {
+    const result = compareIds([
+        product(1, { price: 5, creationAt: '2025-03-01T00:00:00.000Z' }),
+        product(2, { price: 5 }),
+        product(3, { price: 9, creationAt: '2025-03-01T00:00:00.000Z' })
+    ]);
+    assert.deepEqual(result.cheapestIds, [1, 2]);
+    assert.deepEqual(result.newestIds, [1, 3]);
+});
+
+test('compare skips invalid creation dates when picking the newest product', () => {
+    const result = compareIds([
+        product(1, { creationAt: 'not a date' }),
+        product(2, { creationAt: '2025-03-01T00:00:00.000Z' }),
+        product(3)
+    ]);
+    assert.equal(result.differences.creationAt, true);
+    assert.deepEqual(result.newestIds, [2]);
+});
+
+test('parseIds drops invalid and duplicate ids and keeps at most MAX_ITEMS', () => {
+    assert.deepEqual(toPlain(CompareService.parseIds('3, 12,3,abc,,1.5,40')), [3, 12, 40]);
+    assert.deepEqual(toPlain(CompareService.parseIds('1,2,3,4,5')), [1, 2, 3, 4]);
+    assert.deepEqual(toPlain(CompareService.parseIds('')), []);
+});
+
+test('a link needs at least two distinct valid ids to compare', () => {
+    assert.equal(CompareService.canCompare(CompareService.parseIds('7,7,x')), false);
+    assert.equal(CompareService.canCompare(CompareService.parseIds('7,8')), true);
+});
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, toPlain } = require('./helpers/load-app');
+
+const { get } = loadApp();
+const CsvFormat = get('CsvFormat');
+
+test('formatCell neutralises spreadsheet formulas but leaves numbers alone', () => {
+    assert.equal(CsvFormat.formatCell('=HYPERLINK("http://evil.test")'), `"'=HYPERLINK(""http://evil.test"")"`);
+    assert.equal(CsvFormat.formatCell('+1'), "'+1");
+    assert.equal(CsvFormat.formatCell('@SUM(A1)'), "'@SUM(A1)");
+    assert.equal(CsvFormat.formatCell('\tcmd'), "'\tcmd");
+    assert.equal(CsvFormat.formatCell(-5), '-5');
+    assert.equal(CsvFormat.formatCell('Shirt'), 'Shirt');
+});
+
+test('parse restores exported formula-like values', () => {
+    const rows = [['title', 'price'], ['-Sale-', -5], ['=1+1', 3]];
+    assert.deepEqual(toPlain(CsvFormat.parse(CsvFormat.stringify(rows))), [['title', 'price'], ['-Sale-', '-5'], ['=1+1', '3']]);
+});
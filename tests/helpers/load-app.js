@@ -0,0 +1,63 @@
+/**
+ * Nạp config.js + main.js vào một VM context riêng để test các class không cần trình duyệt
+ * main.js là classic script: class/const khai báo ở top-level được đọc lại qua `context.get(name)`
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * @param {Object} [globals] - Ghi đè/bổ sung biến toàn cục (window, navigator, fetch...)
+ * @returns {{ get: Function, context: Object }}
+ */
+function loadApp(globals = {}) {
+    const context = vm.createContext({
+        console,
+        URL,
+        URLSearchParams,
+        AbortController,
+        setTimeout,
+        clearTimeout,
+        Intl,
+        document: { addEventListener() {} },
+        window: { location: { href: 'http://catalog.test/' } },
+        navigator: { onLine: true },
+        ...globals
+    });
+    ['config.js', 'main.js'].forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+    return {
+        context,
+        get: name => vm.runInContext(name, context)
+    };
+}
+
+/**
+ * Response giả lập đủ dùng cho HttpClient
+ * @param {number} status
+ * @param {*} body - Object được JSON.stringify, string giữ nguyên
+ * @returns {Object}
+ */
+function createResponse(status, body) {
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        text: async () => text,
+        json: async () => JSON.parse(text)
+    };
+}
+
+/**
+ * Object tạo trong VM context có prototype khác realm của test, chuyển về object thường để so sánh deepEqual
+ * @param {*} value
+ * @returns {*}
+ */
+function toPlain(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadApp, createResponse, toPlain };
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, createResponse, toPlain } = require('./helpers/load-app');
+
+const { get } = loadApp();
+const HttpClient = get('HttpClient');
+
+/**
+ * @param {Array<Function>} replies - Mỗi lần gọi fetch dùng phần tử kế tiếp: (url, init) => Promise<Response>
+ * @returns {Function & { calls: Array }}
+ */
+function createFetchStub(replies) {
+    const calls = [];
+    const fetchFn = (url, init) => {
+        calls.push({ url, init });
+        const reply = replies[Math.min(calls.length - 1, replies.length - 1)];
+        return reply(url, init);
+    };
+    fetchFn.calls = calls;
+    return fetchFn;
+}
+
+function createClient(fetchFn, overrides = {}) {
+    return new HttpClient({
+        baseUrl: 'http://api.test/v1/',
+        timeoutMs: 50,
+        retryAttempts: 2,
+        retryBaseDelayMs: 1,
+        fetchFn,
+        ...overrides
+    });
+}
+
+test('getJson builds the URL and skips empty query params', async () => {
+    const fetchFn = createFetchStub([async () => createResponse(200, [{ id: 1 }])]);
+    const result = await createClient(fetchFn).getJson('/products', { offset: 0, limit: 20, title: null });
+    assert.deepEqual(toPlain(result), [{ id: 1 }]);
+    assert.equal(fetchFn.calls[0].url, 'http://api.test/v1/products?offset=0&limit=20');
+});
+
+test('retries 5xx responses with backoff and returns the later success', async () => {
+    const fetchFn = createFetchStub([
+        async () => createResponse(503, { message: 'busy' }),
+        async () => createResponse(200, { ok: true })
+    ]);
+    assert.deepEqual(toPlain(await createClient(fetchFn).getJson('/products')), { ok: true });
+    assert.equal(fetchFn.calls.length, 2);
+});
+
+test('does not retry 4xx responses and keeps the server message', async () => {
+    const fetchFn = createFetchStub([async () => createResponse(400, { message: ['price must be positive'] })]);
+    await assert.rejects(createClient(fetchFn).getJson('/products'), error => {
+        assert.equal(error.name, 'HttpError');
+        assert.equal(error.status, 400);
+        assert.equal(error.retryable, false);
+        assert.match(error.message, /price must be positive/);
+        return true;
+    });
+    assert.equal(fetchFn.calls.length, 1);
+});
+
+test('does not retry non-idempotent POST requests', async () => {
+    const fetchFn = createFetchStub([async () => createResponse(503, {})]);
+    await assert.rejects(createClient(fetchFn).sendJson('POST', '/products', { title: 'x' }), { name: 'HttpError', status: 503 });
+    assert.equal(fetchFn.calls.length, 1);
+    assert.equal(fetchFn.calls[0].init.body, '{"title":"x"}');
+});
+
+test('wraps network failures in a retryable HttpError without status', async () => {
+    const fetchFn = createFetchStub([async () => { throw new TypeError('Failed to fetch'); }]);
+    await assert.rejects(createClient(fetchFn, { retryAttempts: 0 }).getJson('/products'), error => {
+        assert.equal(error.name, 'HttpError');
+        assert.equal(error.status, undefined);
+        assert.equal(error.retryable, true);
+        assert.equal(error.timedOut, false);
+        return true;
+    });
+});
+
+test('times out when the server never responds', async () => {
+    const fetchFn = createFetchStub([() => new Promise(() => {})]);
+    await assert.rejects(createClient(fetchFn, { retryAttempts: 0 }).getJson('/products'), { name: 'HttpError', timedOut: true });
+});
+
+test('times out when the body stalls after the headers arrive', async () => {
+    const fetchFn = createFetchStub([async () => ({ ok: true, status: 200, text: () => new Promise(() => {}) })]);
+    await assert.rejects(createClient(fetchFn, { retryAttempts: 0 }).getJson('/products'), { name: 'HttpError', timedOut: true });
+});
+
+test('aborts the underlying request on timeout', async () => {
+    let signal;
+    const fetchFn = createFetchStub([(url, init) => {
+        signal = init.signal;
+        return new Promise(() => {});
+    }]);
+    await assert.rejects(createClient(fetchFn, { retryAttempts: 0 }).getJson('/products'));
+    assert.equal(signal.aborted, true);
+});
+
+test('wraps invalid JSON in a retryable HttpError and retries it', async () => {
+    const fetchFn = createFetchStub([
+        async () => createResponse(200, '<html>Bad gateway</html>'),
+        async () => createResponse(200, [])
+    ]);
+    assert.deepEqual(toPlain(await createClient(fetchFn).getJson('/products')), []);
+    assert.equal(fetchFn.calls.length, 2);
+
+    const alwaysBroken = createFetchStub([async () => createResponse(200, '{"truncated":')]);
+    await assert.rejects(createClient(alwaysBroken, { retryAttempts: 0 }).getJson('/products'), error => {
+        assert.equal(error.name, 'HttpError');
+        assert.equal(error.status, 200);
+        assert.match(error.message, /not valid JSON/);
+        return true;
+    });
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, createResponse, toPlain } = require('./helpers/load-app');
+
+const { get } = loadApp();
+const Logger = get('Logger');
+const LoggerFactory = get('LoggerFactory');
+const RingBufferTransport = get('RingBufferTransport');
+const HttpCollectorTransport = get('HttpCollectorTransport');
+const HttpError = get('HttpError');
+
+/**
+ * @param {Function} [reply] - (url, init) => Promise<Response>
+ * @returns {Function & { calls: Array }}
+ */
+function createFetchStub(reply = async () => createResponse(204, '')) {
+    const calls = [];
+    const fetchFn = (url, init) => {
+        calls.push({ url, init, body: JSON.parse(init.body) });
+        return reply(url, init);
+    };
+    fetchFn.calls = calls;
+    return fetchFn;
+}
+
+function createTransport(minLevel) {
+    const entries = [];
+    return { minLevel, entries, write: entry => entries.push(entry) };
+}
+
+test('log only reaches transports at or below the entry level', () => {
+    const debug = createTransport('debug');
+    const warn = createTransport('warn');
+    const logger = new Logger([debug, warn]);
+
+    logger.info('loaded');
+    logger.error('failed');
+
+    assert.deepEqual(debug.entries.map(entry => entry.message), ['loaded', 'failed']);
+    assert.deepEqual(warn.entries.map(entry => entry.message), ['failed']);
+});
+
+test('log serializes errors in the context and survives a throwing transport', () => {
+    const broken = { minLevel: 'debug', write: () => { throw new Error('disk full'); } };
+    const buffer = new RingBufferTransport(5);
+    const logger = new Logger([broken, buffer]);
+    const error = new HttpError('Not found', { url: '/products/9', status: 404 });
+
+    const entry = logger.error('load failed', { error });
+
+    assert.equal(buffer.getEntries().length, 1);
+    assert.equal(entry.context.error.message, 'Not found');
+    assert.equal(entry.context.error.status, 404);
+    assert.equal(entry.context.error.url, '/products/9');
+    assert.match(entry.id, /^[0-9A-Z]+-[0-9A-Z]{4}$/);
+});
+
+test('RingBufferTransport keeps only the newest entries', () => {
+    const buffer = new RingBufferTransport(2);
+    const logger = new Logger([buffer]);
+
+    ['a', 'b', 'c'].forEach(message => logger.debug(message));
+
+    assert.deepEqual(toPlain(buffer.getEntries().map(entry => entry.message)), ['b', 'c']);
+});
+
+test('HttpCollectorTransport posts the entry with recent entries but not itself', () => {
+    const fetchFn = createFetchStub();
+    const buffer = new RingBufferTransport(5);
+    const collector = new HttpCollectorTransport({ url: 'http://logs.test/collect', minLevel: 'error', recentEntries: buffer, fetchFn });
+    const logger = new Logger([buffer, collector]);
+
+    logger.info('opened product');
+    const entry = logger.error('save failed');
+
+    assert.equal(fetchFn.calls.length, 1);
+    const [call] = fetchFn.calls;
+    assert.equal(call.url, 'http://logs.test/collect');
+    assert.equal(call.init.method, 'POST');
+    assert.equal(call.init.keepalive, true);
+    assert.equal(call.body.id, entry.id);
+    assert.equal(call.body.page, 'http://catalog.test/');
+    assert.deepEqual(toPlain(call.body.recent.map(item => item.message)), ['opened product']);
+});
+
+test('HttpCollectorTransport ignores a rejected request', async () => {
+    const fetchFn = createFetchStub(async () => { throw new TypeError('Failed to fetch'); });
+    const logger = new Logger([new HttpCollectorTransport({ url: 'http://logs.test/collect', minLevel: 'warn', fetchFn })]);
+
+    logger.warn('slow response');
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    assert.equal(fetchFn.calls.length, 1);
+});
+
+test('LoggerFactory passes fetchFn to the collector and skips it without a URL', () => {
+    const options = { consoleLevel: 'error', bufferSize: 10, collectorUrl: 'http://logs.test/collect', collectorLevel: 'warn' };
+    const fetchFn = createFetchStub();
+
+    LoggerFactory.create(options, fetchFn).warn('retrying');
+    assert.equal(fetchFn.calls.length, 1);
+    assert.equal(fetchFn.calls[0].body.message, 'retrying');
+
+    const unused = createFetchStub();
+    LoggerFactory.create({ ...options, collectorUrl: '' }, unused).warn('offline');
+    assert.equal(unused.calls.length, 0);
+});
+
+test('LoggerFactory rejects an unknown level', () => {
+    assert.throws(
+        () => LoggerFactory.create({ consoleLevel: 'verbose', bufferSize: 10, collectorUrl: '', collectorLevel: 'error' }),
+        /Unknown log level "verbose"/
+    );
+});
@@ -0,0 +1,190 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, toPlain } = require('./helpers/load-app');
+
+const { get } = loadApp();
+const ProductService = get('ProductService');
+const InMemoryProductRepository = get('InMemoryProductRepository');
+const HttpProductRepository = get('HttpProductRepository');
+const ProductQuery = get('ProductQuery');
+
+const CATEGORY = { id: 1, name: 'Clothes', slug: 'clothes', image: '', creationAt: '2024-01-01T00:00:00.000Z' };
+
+function record(id, title, slug = title.toLowerCase().replace(/\s+/g, '-')) {
+    return { id, title, slug, price: 10 * id, description: '', category: CATEGORY, images: [], creationAt: '2024-01-01T00:00:00.000Z' };
+}
+
+function input(title) {
+    return { title, price: 15, description: 'desc', categoryId: CATEGORY.id, images: ['https://img.test/a.png'] };
+}
+
+async function createService(records, { pageSize = 2 } = {}) {
+    const repository = new InMemoryProductRepository(records);
+    const service = new ProductService(repository, { pageSize });
+    await service.reload();
+    return { repository, service };
+}
+
+test('queryProducts combines category, price range and accent-insensitive search before sorting', async () => {
+    const shoes = { ...CATEGORY, id: 2, name: 'Shoes', slug: 'shoes' };
+    const { service } = await createService([
+        { ...record(1, 'Áo thun đỏ'), price: 20 },
+        { ...record(2, 'Áo khoác đỏ'), price: 80 },
+        { ...record(3, 'Áo len đỏ'), price: 45 },
+        { ...record(4, 'Giày đỏ'), price: 50, category: shoes },
+        { ...record(5, 'Áo thun xanh'), price: 30 }
+    ], { pageSize: 5 });
+    const query = new ProductQuery({ searchText: 'AO DO', categorySlug: 'clothes', minPrice: 20, maxPrice: 80, sortBy: 'price-desc' });
+
+    assert.deepEqual(toPlain(service.queryProducts(query).map(product => product.id)), [2, 3, 1]);
+    assert.deepEqual(toPlain(service.queryProducts(query.with({ maxPrice: 50, sortBy: 'title' })).map(product => product.id)), [3, 1]);
+    assert.deepEqual(toPlain(service.queryProducts(query.with({ categorySlug: null, searchText: 'giay' })).map(product => product.id)), [4]);
+    assert.deepEqual(toPlain(service.queryProducts(new ProductQuery()).map(product => product.id)), [1, 2, 3, 4, 5]);
+});
+
+test('generateSlug checks products that are not loaded yet', async () => {
+    const { service } = await createService([record(1, 'Shirt'), record(2, 'Hat'), record(3, 'Cap')]);
+    assert.equal(service.previewSlug('Cap'), 'cap');
+    assert.equal(await service.generateSlug('Cap'), 'cap-2');
+    assert.equal(await service.generateSlug('Cap', 3), 'cap');
+});
+
+test('createProduct inserts right away without slug lookups when the backend generates slugs', async () => {
+    const { service, repository } = await createService([record(1, 'Shirt'), record(2, 'Hat'), record(3, 'Cap')]);
+    repository.storesSlug = false;
+    repository.fetchProductBySlug = async () => { throw new Error('Network down'); };
+    let save;
+    const create = repository.createProduct.bind(repository);
+    // Backend tự sinh slug, không dùng slug client gửi lên
+    repository.createProduct = productInput => new Promise(resolve => {
+        save = async () => resolve({ ...await create(productInput), slug: 'cap-4' });
+    });
+
+    const pending = service.createProduct(input('Cap'));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    assert.deepEqual(toPlain(service.getAllProducts().map(product => product.slug)), ['cap', 'shirt', 'hat']);
+
+    await save();
+    const saved = await pending;
+    assert.equal(saved.slug, 'cap-4');
+    assert.deepEqual(toPlain(service.getAllProducts().map(product => product.slug)), ['cap-4', 'shirt', 'hat']);
+});
+
+test('the HTTP repository does not send slug to the backend', async () => {
+    const sent = [];
+    const repository = new HttpProductRepository({
+        sendJson: async (method, path, body) => {
+            sent.push({ method, path, body });
+            return body;
+        }
+    });
+    await repository.createProduct({ ...input('Shirt'), slug: 'shirt' });
+    await repository.updateProduct(4, { ...input('Shirt'), slug: 'shirt' });
+    assert.deepEqual(toPlain(sent.map(({ body }) => body)), [input('Shirt'), input('Shirt')]);
+});
+
+test('updateProduct edits a product outside the loaded pages', async () => {
+    const { service, repository } = await createService([record(1, 'Shirt'), record(2, 'Hat'), record(3, 'Cap')]);
+    const saved = await service.updateProduct(3, input('Cap'));
+    assert.equal(saved.slug, 'cap');
+    assert.equal(repository.records[2].price, 15);
+    assert.equal(service.findById(3), undefined);
+});
+
+test('a failed delete puts the product back before its neighbour even if the list changed', async () => {
+    const { service, repository } = await createService([record(1, 'Shirt'), record(2, 'Hat'), record(3, 'Cap')], { pageSize: 3 });
+    repository.deleteProduct = async () => {
+        // Sản phẩm đứng trước bị xóa trong lúc chờ
+        service.products = service.products.filter(product => product.id !== 1);
+        throw new Error('Server error');
+    };
+    await assert.rejects(service.deleteProduct(2), /Server error/);
+    assert.deepEqual(toPlain(service.getAllProducts().map(product => product.id)), [2, 3]);
+});
+
+test('a broken record seen again on a detail lookup is quarantined once, with untranslated reasons', async () => {
+    const broken = { ...record(3, 'Cap'), price: 'free' };
+    const { service } = await createService([record(1, 'Shirt'), broken, record(2, 'Hat')], { pageSize: 3 });
+    assert.equal(await service.getProductById(3), null);
+    assert.equal(await service.getProductById(3), null);
+    assert.deepEqual(toPlain(service.getQuarantine()), [{
+        kind: 'product',
+        record: broken,
+        errors: [{ key: 'schema.invalidField', params: { field: 'price', value: '"free"' } }]
+    }]);
+});
+
+test('invalid categories are quarantined instead of silently dropped', async () => {
+    const { service, repository } = await createService([record(1, 'Shirt')]);
+    repository.fetchCategories = async () => [CATEGORY, { id: 2, name: ' ', creationAt: CATEGORY.creationAt }];
+    await service.reload();
+    assert.deepEqual(toPlain(service.categories.map(category => category.id)), [1]);
+    assert.deepEqual(toPlain(service.getQuarantine().map(({ kind, errors }) => ({ kind, errors }))), [{
+        kind: 'category',
+        errors: [{ key: 'schema.emptyField', params: { field: 'category.name' } }]
+    }]);
+});
+
+test('importProducts saves the previewed plan through the repository and reports failed rows', async () => {
+    const { service, repository } = await createService([record(1, 'Shirt'), record(2, 'Hat')]);
+    const plan = service.planImport([
+        { ...record(1, 'Shirt'), price: 99 },
+        { title: 'Scarf', price: 5, category: CATEGORY },
+        { title: 'Socks', price: 3, category: { ...CATEGORY, id: 42, name: 'Unknown' } },
+        { title: '', price: 1, category: CATEGORY }
+    ], 'upsert-id');
+    const summary = await service.importProducts(plan, 'upsert-id');
+
+    assert.deepEqual(toPlain({ ...summary, failed: summary.failed.map(({ index }) => index) }), {
+        created: 1, updated: 1, rejected: 1, removed: 0, notRemoved: 0, failed: [2]
+    });
+    assert.equal(repository.records.find(item => item.id === 1).price, 99);
+    assert.equal(repository.records.find(item => item.title === 'Scarf').slug, 'scarf');
+    assert.deepEqual(toPlain(service.getAllProducts().map(product => product.title)), ['Scarf', 'Shirt', 'Hat']);
+});
+
+test('importProducts keeps the current catalog when a replace import fails part way', async () => {
+    const { service, repository } = await createService([record(1, 'Shirt')]);
+    const plan = service.planImport([
+        { title: 'Scarf', price: 5, category: CATEGORY },
+        { title: 'Socks', price: 3, category: { ...CATEGORY, id: 42, name: 'Unknown' } }
+    ], 'replace');
+    const summary = await service.importProducts(plan, 'replace');
+    assert.equal(summary.removed, 0);
+    assert.ok(repository.records.some(item => item.id === 1));
+});
+
+test('a replace import deletes products on pages that were never loaded', async () => {
+    const { service, repository } = await createService([record(1, 'Shirt'), record(2, 'Hat'), record(3, 'Cap')]);
+    const plan = service.planImport([{ title: 'Scarf', price: 5, category: CATEGORY }], 'replace');
+    const summary = await service.importProducts(plan, 'replace');
+
+    assert.equal(summary.removed, 3);
+    assert.equal(summary.notRemoved, 0);
+    assert.deepEqual(toPlain(repository.records.map(item => item.title)), ['Scarf']);
+    assert.deepEqual(toPlain(service.getAllProducts().map(product => product.title)), ['Scarf']);
+});
+
+test('revalidate keeps known products outside the refetched range and drops the ones deleted on the server', async () => {
+    const { service, repository } = await createService([record(1, 'Shirt'), record(2, 'Hat'), record(3, 'Cap')]);
+    const created = await service.createProduct(input('Scarf'));
+    repository.records = repository.records.filter(item => item.id !== 2);
+
+    const summary = await service.revalidate();
+
+    assert.equal(summary.removed, 1);
+    assert.equal(summary.added, 0);
+    // Sản phẩm 3 đã có từ trước, chỉ bị đẩy vào khoảng tải lại nên được nối vào danh sách
+    assert.deepEqual(toPlain(service.getAllProducts().map(product => product.id)), [created.id, 1, 3]);
+});
+
+test('revalidate only reports products created after the last fetch as new', async () => {
+    const { service, repository } = await createService([record(1, 'Shirt'), record(2, 'Hat')]);
+    repository.records.unshift({ ...record(9, 'Scarf'), creationAt: new Date(Date.now() + 60 * 1000).toISOString() });
+
+    const summary = await service.revalidate();
+
+    assert.equal(summary.added, 1);
+    assert.deepEqual(toPlain(service.newProducts.map(product => product.id)), [9]);
+    assert.deepEqual(toPlain(service.getAllProducts().map(product => product.id)), [1, 2]);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app');
+
+const window = { location: { href: 'http://catalog.test/', hash: '' }, addEventListener() {} };
+const { get } = loadApp({ window });
+const Router = get('Router');
+
+function createRouter(calls) {
+    return new Router()
+        .addRoute('/', () => calls.push(['home']))
+        .addRoute('/product/:slug', ({ slug }) => calls.push(['product', slug]))
+        .setNotFound(path => calls.push(['notFound', path]));
+}
+
+test('decodes route params before calling the handler', async () => {
+    const calls = [];
+    window.location.hash = '#/product/%C3%A1o-thun';
+    await createRouter(calls).resolve();
+    assert.deepEqual(calls, [['product', 'áo-thun']]);
+});
+
+test('renders Not Found for malformed percent-encoding instead of throwing', async () => {
+    const calls = [];
+    window.location.hash = '#/product/%E0';
+    await createRouter(calls).resolve();
+    assert.deepEqual(calls, [['notFound', '/product/%E0']]);
+});
+
+test('start registers the hashchange listener only once', async () => {
+    const calls = [];
+    let listeners = 0;
+    window.addEventListener = () => listeners++;
+    window.location.hash = '';
+    const router = createRouter(calls);
+    await router.start();
+    await router.start();
+    assert.equal(listeners, 1);
+    assert.deepEqual(calls, [['home'], ['home']]);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app');
+
+const { get } = loadApp();
+const TextSearch = get('TextSearch');
+
+test('normalize lowercases and strips Vietnamese diacritics including "đ"', () => {
+    assert.equal(TextSearch.normalize('Đồng Hồ Thông Minh'), 'dong ho thong minh');
+    assert.equal(TextSearch.normalize('đường'), 'duong');
+    assert.equal(TextSearch.normalize(null), '');
+});
+
+test('normalize strips combining marks whether the input is precomposed or decomposed', () => {
+    const decomposed = 'A\u0301o khoa\u0301c';
+    assert.equal(TextSearch.normalize(decomposed), 'ao khoac');
+    assert.equal(TextSearch.normalize('Áo khoác'), 'ao khoac');
+    assert.equal(TextSearch.normalize('Café'), 'cafe');
+});
+
+test('matches ignores case and accents on both sides', () => {
+    assert.ok(TextSearch.matches(['Giày thể thao', ''], 'GIAY'));
+    assert.ok(TextSearch.matches(['Giay the thao', ''], 'giày'));
+    assert.ok(TextSearch.matches(['Đèn bàn'], 'den'));
+});
+
+test('matches requires every term but lets terms come from different fields', () => {
+    assert.ok(TextSearch.matches(['Áo khoác', 'Màu đỏ, chống nước'], 'khoac  do'));
+    assert.ok(TextSearch.matches(['Áo khoác', 'Màu đỏ'], 'do khoac'));
+    assert.equal(TextSearch.matches(['Áo khoác', 'Màu đỏ'], 'khoac xanh'), false);
+});
+
+test('an empty or blank query matches everything', () => {
+    assert.ok(TextSearch.matches(['Áo khoác'], ''));
+    assert.ok(TextSearch.matches(['Áo khoác'], '   '));
+});